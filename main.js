@@ -1,20 +1,59 @@
 require('dotenv').config();
 
-const { app, BrowserWindow, globalShortcut, ipcMain } = require('electron');
+const path = require('path');
+const crypto = require('crypto');
+const { pathToFileURL } = require('url');
+const { app, BrowserWindow, dialog, globalShortcut, ipcMain, net, protocol, systemPreferences } = require('electron');
 const logger = require('./src/core/logger').createServiceLogger('MAIN');
 const config = require('./src/core/config');
 const windowManager = require('./src/managers/window.manager');
 const sessionManager = require('./src/managers/session.manager');
+const streamManager = require('./src/managers/stream.manager');
 const openrouterService = require('./src/services/openrouter.service');
 const aiService = require('./src/services/ai.service');
+const generationService = require('./src/services/generation.service');
+const mermaidValidator = require('./src/services/mermaid-validator.service');
+const exportService = require('./src/services/export.service');
+const imageCache = require('./src/services/image-cache.service');
+const screenCapture = require('./src/services/screen-capture.service');
+const modelCatalog = require('./src/services/model-catalog.service');
+const attachmentService = require('./src/services/attachment.service');
+const speechService = require('./src/services/speech.service');
+const { TOOL_OUTPUT_TYPES, getOutputPolicy, listOutputPolicies } = require('./src/core/output-policy');
+const { THEMES, listSettingPaths } = require('./src/core/settings-schema');
+const { SHORTCUT_ACTIONS, normalizeAccelerator } = require('./src/core/shortcuts');
+const { resetProviders, providerTypes } = require('./src/providers');
+const { resetSpeechBackends, speechBackendTypes, ttsEngineTypes } = require('./src/speech');
+const { createUsageRecord, sumUsage } = require('./src/core/usage');
 
 class ApplicationController {
   constructor() {
     this.isReady = false;
+    this.shortcutFailures = []; // [{ action, label, accelerator, error }] from the last registration
     this.setupStealth();
+    this.setupProtocols();
     this.setupEventHandlers();
   }
 
+  // Custom schemes must be registered as privileged before the app is ready
+  setupProtocols() {
+    protocol.registerSchemesAsPrivileged([
+      { scheme: imageCache.scheme, privileges: { standard: true, secure: true, supportFetchAPI: true } }
+    ]);
+  }
+
+  // Serve cached images (jarvis-image://cache/<hash>.<ext>) from disk
+  registerImageProtocol() {
+    protocol.handle(imageCache.scheme, (request) => {
+      const filePath = imageCache.getFilePath(request.url);
+      if (!filePath) {
+        return new Response('Image not found', { status: 404 });
+      }
+      imageCache.touch(filePath);
+      return net.fetch(pathToFileURL(filePath).toString());
+    });
+  }
+
   setupStealth() {
     if (config.get('stealth.enabled')) {
       process.title = config.get('app.processTitle');
@@ -25,8 +64,12 @@ class ApplicationController {
   setupEventHandlers() {
     app.whenReady().then(() => this.onAppReady());
     app.on('window-all-closed', () => this.onWindowAllClosed());
+    app.on('browser-window-created', (event, window) => {
+      window.on('closed', () => this.onWindowClosed(window));
+    });
     app.on('activate', () => this.onActivate());
     app.on('will-quit', () => this.onWillQuit());
+    config.on('changed', (changed) => this.applySettings(changed));
     this.setupIPCHandlers();
   }
 
@@ -37,6 +80,14 @@ class ApplicationController {
     });
 
     try {
+      // User settings (settings window) are merged over the defaults before anything uses them
+      config.loadUserConfig(path.join(app.getPath('userData'), 'settings.json'));
+      windowManager.applyTheme(config.get('appearance.theme'));
+      sessionManager.initialize(path.join(app.getPath('userData'), config.get('session.directory')));
+      sessionManager.setSummarizer((previousSummary, entries, options) => aiService.summarizeConversation(previousSummary, entries, options));
+      imageCache.initialize(path.join(app.getPath('userData'), config.get('imageCache.directory')));
+      modelCatalog.initialize(app.getPath('userData'));
+      this.registerImageProtocol();
       await windowManager.initializeWindows();
       this.setupGlobalShortcuts();
       this.isReady = true;
@@ -49,54 +100,264 @@ class ApplicationController {
     }
   }
 
-  setupGlobalShortcuts() {
-    const shortcuts = {
-      'CommandOrControl+Shift+V': () => windowManager.toggleVisibility(),
-      'CommandOrControl+Shift+I': () => windowManager.toggleInteraction(),
-      'CommandOrControl+Shift+C': () => windowManager.showVisualChat(),
-      'Alt+A': () => windowManager.toggleInteraction()
+  // Handlers for the bindable actions in config.shortcuts
+  getShortcutHandlers() {
+    return {
+      toggleVisibility: () => windowManager.toggleVisibility(),
+      toggleInteraction: () => windowManager.toggleInteraction(),
+      showVisualChat: () => windowManager.showVisualChat(),
+      focusInput: () => {
+        windowManager.showVisualChat();
+        this.sendShortcutAction('focusInput');
+      },
+      clearCanvas: () => this.sendShortcutAction('clearCanvas'),
+      cancelStream: () => this.sendShortcutAction('cancelStream'),
+      screenshotToChat: () => this.captureScreenToChat(),
+      captureRegion: () => this.captureRegionToChat(),
+      pushToTalk: () => {
+        windowManager.showVisualChat();
+        this.sendShortcutAction('pushToTalk');
+      }
     };
+  }
+
+  // (Re)register every bound shortcut. Failures (duplicates, keys taken by another
+  // application or the OS) are kept and reported to the windows
+  setupGlobalShortcuts() {
+    globalShortcut.unregisterAll();
+    const handlers = this.getShortcutHandlers();
+    const registered = new Map(); // normalized accelerator -> action
+    const failures = [];
+
+    Object.entries(config.get('shortcuts')).forEach(([action, accelerator]) => {
+      if (!accelerator || !handlers[action]) return;
 
-    Object.entries(shortcuts).forEach(([accelerator, handler]) => {
-      const success = globalShortcut.register(accelerator, handler);
-      logger.debug('Global shortcut registered', { accelerator, success });
+      let error = null;
+      const key = normalizeAccelerator(accelerator);
+      if (registered.has(key)) {
+        error = `Same shortcut as "${SHORTCUT_ACTIONS[registered.get(key)]}"`;
+      } else {
+        try {
+          if (!globalShortcut.register(accelerator, handlers[action])) {
+            error = 'Already in use by another application or the system';
+          }
+        } catch (registerError) {
+          error = registerError.message;
+        }
+      }
+
+      if (error) {
+        failures.push({ action, label: SHORTCUT_ACTIONS[action], accelerator, error });
+        logger.warn('Global shortcut not registered', { action, accelerator, error });
+      } else {
+        registered.set(key, action);
+        logger.debug('Global shortcut registered', { action, accelerator });
+      }
     });
+
+    this.shortcutFailures = failures;
+    windowManager.broadcastToAllWindows('shortcuts-status', { failures });
+  }
+
+  // Actions carried out by the visual chat (focus input, clear canvas...)
+  sendShortcutAction(action, data = {}) {
+    const chatWindow = windowManager.getWindow('visualChat');
+    if (chatWindow && !chatWindow.isDestroyed()) {
+      chatWindow.webContents.send('shortcut-action', { action, ...data });
+    }
+  }
+
+  // Screenshot of the screen behind the app, attached to the next chat message
+  async captureScreenToChat() {
+    try {
+      const dataUrl = await windowManager.withWindowsHidden(() => screenCapture.captureScreen());
+      const imageUrl = await imageCache.store(dataUrl);
+      windowManager.showVisualChat();
+      this.sendShortcutAction('screenshotToChat', { imageUrl });
+    } catch (error) {
+      logger.error('Screenshot failed', { error: error.message });
+      this.sendShortcutAction('screenshotToChat', { error: error.message });
+    }
+  }
+
+  // Region or window of the screen selected by the user, attached to the next chat message.
+  // The screen is captured with the app hidden, then the selection is made on top of that capture
+  async captureRegionToChat() {
+    if (windowManager.getRegionSelectData()) return;
+
+    try {
+      const { display, image, windows } = await windowManager.withWindowsHidden(async () => ({
+        ...(await screenCapture.captureDisplay()),
+        windows: await screenCapture.listWindows()
+      }));
+      const selection = this.parseRegionSelection(
+        await windowManager.selectScreenRegion(display, { screenshot: image.toDataURL(), windows }),
+        windows
+      );
+      if (!selection) return;
+
+      let dataUrl;
+      if (selection.type === 'window') {
+        dataUrl = await screenCapture.captureWindow(selection.id);
+      } else if (selection.type === 'region') {
+        dataUrl = screenCapture.cropImage(image, display, selection.rect);
+      } else {
+        dataUrl = image.toDataURL();
+      }
+
+      const imageUrl = await imageCache.store(dataUrl);
+      windowManager.showVisualChat();
+      this.sendShortcutAction('captureRegion', { imageUrl });
+    } catch (error) {
+      logger.error('Region capture failed', { error: error.message });
+      this.sendShortcutAction('captureRegion', { error: error.message });
+    }
+  }
+
+  // Selection reported by the selector page, or null if it is missing or malformed
+  parseRegionSelection(selection, windows) {
+    if (selection?.type === 'screen') {
+      return selection;
+    }
+    if (selection?.type === 'window') {
+      return windows.some(window => window.id === selection.id) ? selection : null;
+    }
+    const rect = selection?.rect;
+    if (selection?.type === 'region' && rect && ['x', 'y', 'width', 'height'].every(key => Number.isFinite(rect[key]))
+      && rect.width >= 1 && rect.height >= 1) {
+      return selection;
+    }
+    return null;
+  }
+
+  // Apply changed settings without a restart (config emits the changed paths)
+  applySettings(changed) {
+    const touches = (...prefixes) => changed.some(key => prefixes.some(prefix => key.startsWith(prefix)));
+
+    if (touches('ai.provider', 'ai.model', 'ai.imageModel', 'providers.')) {
+      resetProviders();
+      aiService.configure();
+      generationService.configure();
+      openrouterService.configure();
+    }
+    if (touches('speech.', 'tts.')) {
+      resetSpeechBackends();
+    }
+    if (touches('shortcuts.') && this.isReady) {
+      this.setupGlobalShortcuts();
+    }
+    if (touches('windows.')) {
+      windowManager.applyWindowSizes();
+    }
+    if (touches('appearance.theme')) {
+      windowManager.applyTheme(config.get('appearance.theme'));
+    }
+
+    windowManager.broadcastToAllWindows('settings-changed', { changed });
   }
 
   setupIPCHandlers() {
     // Chat message handling
     ipcMain.handle('send-chat-message', async (event, text) => {
+      // History is built before adding the new input so it is not sent twice
+      const history = sessionManager.getOptimizedHistory(openrouterService.model);
       sessionManager.addUserInput(text, 'chat');
       
       try {
-        const history = sessionManager.getOptimizedHistory();
         const response = await openrouterService.chat(text, history.recent);
+        const usageRecord = createUsageRecord('chat', response.model, response.usage);
         
         sessionManager.addModelResponse(response.content, {
           model: response.model,
-          tokens: response.usage
+          tokens: response.usage,
+          usage: sumUsage([usageRecord])
         });
+        sessionManager.recordUsage([usageRecord]);
 
         return { success: true, response: response.content };
       } catch (error) {
         logger.error('Chat message failed', { error: error.message });
-        return { success: false, error: error.message };
+        return { success: false, error: error.message, errorCode: error.code };
       }
     });
 
     // Streaming chat with AI SDK tools
-    ipcMain.handle('send-chat-stream', async (event, text) => {
-      sessionManager.addUserInput(text, 'chat');
+    ipcMain.handle('send-chat-stream', async (event, text, options = {}) => {
+      let policy;
+      try {
+        policy = getOutputPolicy(options.outputPolicy);
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+
+      // A canvas element the user selected for changes
+      const editElement = options.editElement;
+      if (editElement && !(['mermaid', 'image'].includes(editElement.type) && editElement.id && editElement.content)) {
+        return { success: false, error: 'Only diagrams and images can be edited' };
+      }
+
+      // Model for this message only; the configured default otherwise
+      const modelId = options.model || aiService.modelId;
+      if (typeof modelId !== 'string' || modelId.length > 200) {
+        return { success: false, error: 'Invalid model' };
+      }
+
+      // Images and files attached to this message
+      const parsedAttachments = attachmentService.parseAttachments(options.attachments || []);
+      if (!parsedAttachments.success) {
+        return { success: false, error: parsedAttachments.error };
+      }
+      const { attachments } = parsedAttachments;
+
+      // History is built before adding the new input so it is not sent twice
+      const history = sessionManager.getOptimizedHistory(modelId);
+
+      // The message itself (attached files can be long) and the summary sent with it must fit
+      // the model's token budget
+      const input = sessionManager.measureInput(text, attachments, modelId);
+      if (!input.fits) {
+        logger.warn('Message exceeds the token budget', { modelId, ...input, attachments: attachments.length });
+        return {
+          success: false,
+          error: `This message${attachments.length > 0 ? ' with its attachments' : ''} is about ${input.inputTokens.toLocaleString('en-US')} tokens, `
+            + (input.summaryTokens > 0 ? `which with the ${input.summaryTokens.toLocaleString('en-US')}-token conversation summary is ` : '')
+            + `more than the ${input.budget.toLocaleString('en-US')}-token limit for ${modelId}. `
+            + (attachments.length > 0 ? 'Remove an attachment or attach a shorter file.' : 'Shorten the message.')
+        };
+      }
+
+      // One stream per window: the previous reply must be saved before the next input
+      const controller = streamManager.start(event.sender.id);
+      if (!controller) {
+        return { success: false, error: 'A response is still streaming. Stop it before sending another message.' };
+      }
+      const { signal } = controller;
+
+      sessionManager.addUserInput(text, 'chat', { attachments });
+      const sessionId = sessionManager.getCurrentSession().id;
+
+      let fullText = '';
+      let toolResults = [];
+      let usedModel = modelId; // Replaced by the model the provider reports
+      const usageRecords = []; // Every model call made for this message
+      const onUsage = record => usageRecords.push(record);
       
       try {
-        const history = sessionManager.getOptimizedHistory();
-        const stream = aiService.streamChat(text, history.recent);
+        const stream = aiService.streamChat(text, history.recent, {
+          abortSignal: signal,
+          outputPolicy: policy.name,
+          summary: history.summary,
+          editElement,
+          modelId,
+          onUsage,
+          attachments
+        });
         
-        let fullText = '';
-        let toolResults = [];
         const generatedTypes = new Set(); // Track what has been generated
         
         for await (const chunk of stream) {
+          if (signal.aborted) break;
+
           if (chunk.type === 'text') {
             fullText += chunk.content;
             event.sender.send('chat-stream-chunk', { chunk: chunk.content });
@@ -107,14 +368,16 @@ class ApplicationController {
             });
           } else if (chunk.type === 'tool-result') {
             toolResults.push({
+              toolCallId: chunk.toolCallId,
               toolName: chunk.toolName,
+              args: chunk.args,
               result: chunk.result
             });
             
             // Track generated types
-            if (chunk.toolName === 'generateText') generatedTypes.add('text');
-            if (chunk.toolName === 'generateMermaidDiagram') generatedTypes.add('diagram');
-            if (chunk.toolName === 'generateImage') generatedTypes.add('image');
+            if (TOOL_OUTPUT_TYPES[chunk.toolName]) {
+              generatedTypes.add(TOOL_OUTPUT_TYPES[chunk.toolName]);
+            }
             
             logger.info('Sending tool result', { 
               toolName: chunk.toolName, 
@@ -126,47 +389,33 @@ class ApplicationController {
               toolName: chunk.toolName, 
               result: chunk.result 
             });
+          } else if (chunk.type === 'tool-error') {
+            logger.warn('Tool failed', { toolName: chunk.toolName, error: chunk.error.message, code: chunk.error.code });
+            this.sendToolError(event, chunk.toolName, chunk.error);
+          } else if (chunk.type === 'step-finish') {
+            usedModel = chunk.modelId || usedModel;
+            onUsage(createUsageRecord('chat', usedModel, chunk.usage));
           }
         }
         
-        // Ensure all three outputs are generated (Jarvis requirement)
-        // If any are missing, generate them automatically
-        const tools = aiService.getTools();
-        const missingTypes = [];
-        
-        // Always require positioned text element (even if text was streamed)
-        if (!generatedTypes.has('text')) {
-          missingTypes.push('text');
-        }
-        if (!generatedTypes.has('diagram')) {
-          missingTypes.push('diagram');
-        }
-        if (!generatedTypes.has('image')) {
-          missingTypes.push('image');
+        if (signal.aborted) {
+          return this.finishCancelledStream(event, sessionId, fullText, toolResults, editElement, usedModel, usageRecords);
         }
+
+        // Ensure every output the policy requires was generated
+        // If any are missing, generate them automatically
+        // A required text element is backfilled even if text was streamed
+        // Edits of a selected element are exempt from the policy
+        const missingTypes = editElement ? [] : policy.required.filter(type => !generatedTypes.has(type));
         
         if (missingTypes.length > 0) {
-          logger.info('Generating missing outputs for Jarvis requirement', { missingTypes, hasStreamedText: !!fullText });
-          
-          // Generate missing outputs with non-overlapping positions
-          // Track positions to prevent overlap
-          const usedPositions = [];
-          const getNonOverlappingPosition = () => {
-            let attempts = 0;
-            let x, y;
-            do {
-              // Keep Y between 5% and 60% to avoid being cut off
-              x = 10 + Math.random() * 80;
-              y = 5 + Math.random() * 55;
-              attempts++;
-            } while (attempts < 50 && usedPositions.some(pos => 
-              Math.abs(pos.x - x) < 25 || Math.abs(pos.y - y) < 25
-            ));
-            usedPositions.push({ x, y });
-            return { x, y };
-          };
+          logger.info('Generating missing outputs required by output policy', {
+            outputPolicy: policy.name,
+            missingTypes,
+            hasStreamedText: !!fullText
+          });
           
-          // Pre-define positions for each type to ensure good spacing
+          // Position hints only - the renderer's layout engine resolves overlaps
           const positionMap = {
             text: { x: 15, y: 15 },
             diagram: { x: 60, y: 20 },
@@ -174,87 +423,216 @@ class ApplicationController {
           };
           
           for (const type of missingTypes) {
+            if (signal.aborted) break;
+
             try {
-              let result;
-              // Use predefined position or generate non-overlapping one
-              const pos = positionMap[type] || getNonOverlappingPosition();
+              const pos = positionMap[type];
               
               if (type === 'text') {
                 // Use streamed text if available, otherwise create a summary
                 // This ensures text is always positioned on screen as a Jarvis element
                 const textContent = fullText.trim() || `Response to: ${text}`;
-                result = await tools.generateText.execute({ 
+                await this.runBackfillTool(event, toolResults, 'generateText', {
                   text: textContent, 
                   positionX: pos.x, 
                   positionY: pos.y 
-                });
-                event.sender.send('tool-result', { toolName: 'generateText', result });
-                toolResults.push({ toolName: 'generateText', result });
+                }, { abortSignal: signal, onUsage, modelId });
               } else if (type === 'diagram') {
                 // Create a diagram related to the user's request
                 const diagramPrompt = fullText 
                   ? `Create a visual diagram representing: ${fullText.substring(0, 200)}` 
                   : `Visual representation of: ${text}`;
-                result = await tools.generateMermaidDiagram.execute({ 
+                await this.runBackfillTool(event, toolResults, 'generateMermaidDiagram', {
                   description: diagramPrompt, 
                   positionX: pos.x, 
                   positionY: pos.y 
-                });
-                event.sender.send('tool-result', { toolName: 'generateMermaidDiagram', result });
-                toolResults.push({ toolName: 'generateMermaidDiagram', result });
+                }, { abortSignal: signal, onUsage, modelId });
               } else if (type === 'image') {
                 // Create an image related to the user's request
                 const imagePrompt = fullText 
                   ? `Visual image related to: ${fullText.substring(0, 200)}` 
                   : `Visual image related to: ${text}`;
-                result = await tools.generateImage.execute({ 
+                await this.runBackfillTool(event, toolResults, 'generateImage', {
                   prompt: imagePrompt, 
                   positionX: pos.x, 
                   positionY: pos.y 
-                });
-                event.sender.send('tool-result', { toolName: 'generateImage', result });
-                toolResults.push({ toolName: 'generateImage', result });
+                }, { abortSignal: signal, onUsage, modelId });
               }
             } catch (error) {
+              if (signal.aborted) break;
               logger.error(`Failed to generate missing ${type}`, { error: error.message });
+              const toolName = Object.keys(TOOL_OUTPUT_TYPES).find(name => TOOL_OUTPUT_TYPES[name] === type);
+              this.sendToolError(event, toolName, error);
             }
           }
         }
+
+        if (signal.aborted) {
+          return this.finishCancelledStream(event, sessionId, fullText, toolResults, editElement, usedModel, usageRecords);
+        }
         
         // Save response to session
+        const usage = sumUsage(usageRecords);
         if (fullText || toolResults.length > 0) {
           sessionManager.addModelResponse(fullText || 'Tool execution completed', {
-            model: aiService.modelId,
-            tools: toolResults
+            model: usedModel,
+            outputPolicy: policy.name,
+            editedElementId: editElement?.id,
+            tools: toolResults,
+            usage
           });
         }
+        sessionManager.recordUsage(usageRecords, { sessionId });
+
+        // Remember what is on the canvas so the session can be reopened later
+        sessionManager.setCanvas(this.nextCanvas(toolResults, editElement));
+
+        // Fold turns that fell out of the token budget into the summary (in the background)
+        sessionManager.updateSummary(modelId);
         
-        event.sender.send('chat-stream-complete');
+        event.sender.send('chat-stream-complete', { model: usedModel, usage });
         return { success: true };
       } catch (error) {
-        logger.error('Chat stream failed', { error: error.message });
+        if (signal.aborted) {
+          return this.finishCancelledStream(event, sessionId, fullText, toolResults, editElement, usedModel, usageRecords);
+        }
+        logger.error('Chat stream failed', { error: error.message, code: error.code });
+        // Calls that completed before the failure (including diagrams and images) were still billed
+        sessionManager.recordUsage(usageRecords, { sessionId });
+        return { success: false, error: error.message, errorCode: error.code };
+      } finally {
+        streamManager.finish(event.sender.id, controller);
+      }
+    });
+
+    // Models for the picker (cached provider list, or the static fallback offline)
+    ipcMain.handle('list-models', async (event, { refresh = false } = {}) => {
+      try {
+        return { success: true, ...(await modelCatalog.listModels({ refresh })) };
+      } catch (error) {
+        logger.error('Listing models failed', { error: error.message });
+        return { success: false, error: error.message, errorCode: error.code };
+      }
+    });
+
+    // Persisted like any other setting, so it also shows up in the settings window
+    ipcMain.handle('set-default-model', (event, modelId) => {
+      try {
+        const result = config.updateUserConfig({ ai: { model: modelId } });
+        if (!result.success) {
+          return { success: false, error: result.issues.map(issue => issue.message).join('; ') };
+        }
+        return { success: true, defaultModel: config.get('ai.model') };
+      } catch (error) {
+        logger.error('Setting default model failed', { error: error.message });
         return { success: false, error: error.message };
       }
     });
 
+    ipcMain.handle('get-output-policies', () => {
+      return {
+        policies: listOutputPolicies(),
+        defaultPolicy: config.get('ai.outputPolicy')
+      };
+    });
+
+    ipcMain.handle('cancel-chat-stream', (event) => {
+      if (!streamManager.cancel(event.sender.id)) {
+        return { success: false, error: 'No active stream' };
+      }
+
+      logger.info('Chat stream cancellation requested');
+      return { success: true };
+    });
+
     // Generate mermaid diagram
     ipcMain.handle('generate-diagram', async (event, prompt) => {
       try {
-        const diagram = await openrouterService.generateDiagram(prompt);
-        return { success: true, diagram };
+        const { content, validation } = await generationService.generateDiagram(prompt, {
+          onUsage: record => sessionManager.recordUsage([record])
+        });
+        return { success: true, diagram: content, validation };
       } catch (error) {
         logger.error('Diagram generation failed', { error: error.message });
-        return { success: false, error: error.message };
+        return { success: false, error: error.message, errorCode: error.code };
       }
     });
 
     // Generate image
     ipcMain.handle('generate-image', async (event, prompt) => {
       try {
-        const imageUrl = await openrouterService.generateImage(prompt);
+        const imageUrl = await generationService.generateImage(prompt, {
+          onUsage: record => sessionManager.recordUsage([record])
+        });
         return { success: true, imageUrl };
       } catch (error) {
         logger.error('Image generation failed', { error: error.message });
+        return { success: false, error: error.message, errorCode: error.code };
+      }
+    });
+
+    // Export the current session as Markdown or as a self-contained HTML page
+    ipcMain.handle('export-session', async (event, format, canvas) => {
+      const formats = {
+        markdown: { extension: 'md', name: 'Markdown' },
+        html: { extension: 'html', name: 'HTML' }
+      };
+      if (!formats[format]) {
+        return { success: false, error: `Unknown export format: ${format}` };
+      }
+
+      const session = sessionManager.getCurrentSession();
+      const { extension, name } = formats[format];
+      const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+        defaultPath: `${exportService.getFileBaseName(session.name)}.${extension}`,
+        filters: [{ name, extensions: [extension] }]
+      });
+      if (canceled || !filePath) {
+        return { success: false, canceled: true };
+      }
+
+      try {
+        if (format === 'markdown') {
+          await exportService.exportMarkdown(session, filePath);
+        } else {
+          await exportService.exportHtml(session, canvas, filePath);
+        }
+        return { success: true, filePath };
+      } catch (error) {
+        logger.error('Session export failed', { format, error: error.message });
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Export a single canvas element (diagram as SVG/PNG, image file, text, chart, table...)
+    ipcMain.handle('export-element', async (event, element) => {
+      try {
+        const filtersByType = {
+          mermaid: [{ name: 'SVG', extensions: ['svg'] }, { name: 'PNG', extensions: ['png'] }],
+          image: [{ name: 'Image', extensions: [element.type === 'image' ? exportService.getImageExtension(element.content) : 'png'] }],
+          text: [{ name: 'Text', extensions: ['txt', 'md'] }],
+          chart: [{ name: 'PNG', extensions: ['png'] }, { name: 'CSV', extensions: ['csv'] }],
+          table: [{ name: 'CSV', extensions: ['csv'] }, { name: 'Markdown', extensions: ['md'] }],
+          code: [{ name: 'Source file', extensions: [element.type === 'code' ? exportService.getCodeExtension(element.content?.language) : 'txt'] }],
+          timeline: [{ name: 'Markdown', extensions: ['md'] }]
+        };
+        const filters = filtersByType[element.type];
+        if (!filters) {
+          return { success: false, error: `Cannot export element of type: ${element.type}` };
+        }
+
+        const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+          defaultPath: `${element.type === 'mermaid' ? 'diagram' : element.type}.${filters[0].extensions[0]}`,
+          filters
+        });
+        if (canceled || !filePath) {
+          return { success: false, canceled: true };
+        }
+
+        await exportService.exportElement(element, filePath);
+        return { success: true, filePath };
+      } catch (error) {
+        logger.error('Element export failed', { type: element?.type, error: error.message });
         return { success: false, error: error.message };
       }
     });
@@ -280,9 +658,134 @@ class ApplicationController {
       return { success: true };
     });
 
+    // Settings window
+    ipcMain.handle('open-settings', () => {
+      windowManager.showSettings();
+      return { success: true };
+    });
+
+    ipcMain.handle('get-settings', () => {
+      const paths = listSettingPaths();
+      return {
+        values: Object.fromEntries(paths.map(key => [key, config.get(key)])),
+        defaults: Object.fromEntries(paths.map(key => [key, config.getDefault(key)])),
+        options: {
+          providers: providerTypes,
+          outputPolicies: listOutputPolicies(),
+          themes: THEMES,
+          speechBackends: speechBackendTypes,
+          ttsEngines: ttsEngineTypes,
+          shortcutActions: SHORTCUT_ACTIONS
+        },
+        shortcutFailures: this.shortcutFailures
+      };
+    });
+
+    ipcMain.handle('get-shortcut-status', () => {
+      return { failures: this.shortcutFailures };
+    });
+
+    // Files dropped or pasted into the chat input: { name, mimeType, data } -> attachment
+    ipcMain.handle('prepare-attachment', async (event, file) => {
+      try {
+        return { success: true, attachment: await attachmentService.prepare(file || {}) };
+      } catch (error) {
+        logger.warn('Attachment rejected', { name: file?.name, error: error.message });
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Limits the chat input checks before reading files
+    ipcMain.handle('get-attachment-settings', () => {
+      return config.get('attachments');
+    });
+
+    // Push-to-talk: recorded audio ({ audio: 16-bit mono PCM, sampleRate, final }) -> transcript
+    ipcMain.handle('transcribe-speech', async (event, { audio, sampleRate, final } = {}) => {
+      try {
+        return { success: true, text: await speechService.transcribe(audio || [], { sampleRate, final: !!final }) };
+      } catch (error) {
+        logger.warn('Transcription failed', { final, error: error.message, detail: error.detail });
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('get-speech-settings', () => {
+      const { autoSend, partialIntervalMs, maxRecordingMs } = config.get('speech');
+      return { autoSend, partialIntervalMs, maxRecordingMs };
+    });
+
+    // Spoken responses through a local engine: text -> WAV audio
+    ipcMain.handle('synthesize-speech', async (event, text) => {
+      try {
+        return { success: true, audio: await speechService.synthesize(text) };
+      } catch (error) {
+        logger.warn('Speech synthesis failed', { error: error.message });
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('get-tts-settings', () => {
+      const { enabled, engine, voice, rate } = config.get('tts');
+      return { enabled, engine, voice, rate };
+    });
+
+    // macOS asks the user once; elsewhere the microphone is available to the app
+    ipcMain.handle('request-microphone-access', async () => {
+      if (process.platform !== 'darwin') return true;
+      return systemPreferences.askForMediaAccess('microphone');
+    });
+
+    // Screen region capture (chat button); the image arrives as a 'captureRegion' action
+    ipcMain.handle('capture-region', () => {
+      this.captureRegionToChat();
+      return { success: true };
+    });
+
+    // Region selector window
+    ipcMain.handle('get-region-select-data', () => {
+      return windowManager.getRegionSelectData();
+    });
+
+    ipcMain.handle('finish-region-select', (event, selection) => {
+      windowManager.finishRegionSelect(selection || null);
+      return { success: true };
+    });
+
+    ipcMain.handle('save-settings', (event, settings) => {
+      try {
+        const result = config.updateUserConfig(settings);
+        if (!result.success) {
+          return { success: false, error: 'Some settings are invalid', issues: result.issues };
+        }
+        return { success: true, changed: result.changed, shortcutFailures: this.shortcutFailures };
+      } catch (error) {
+        logger.error('Failed to save settings', { error: error.message });
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('reset-settings', () => {
+      try {
+        return { ...config.resetUserConfig(), shortcutFailures: this.shortcutFailures };
+      } catch (error) {
+        logger.error('Failed to reset settings', { error: error.message });
+        return { success: false, error: error.message };
+      }
+    });
+
     // Session management
     ipcMain.handle('get-session-history', () => {
-      return sessionManager.getOptimizedHistory();
+      return sessionManager.getOptimizedHistory(aiService.modelId);
+    });
+
+    ipcMain.handle('get-context-usage', (event, modelId) => {
+      return sessionManager.getContextUsage(modelId || aiService.modelId);
+    });
+
+    // Token and cost totals of the current session
+    ipcMain.handle('get-usage', () => {
+      return sessionManager.getUsage();
     });
 
     ipcMain.handle('clear-session', () => {
@@ -290,6 +793,167 @@ class ApplicationController {
       windowManager.broadcastToAllWindows('session-cleared');
       return { success: true };
     });
+
+    // Arrangement edits from the renderer (moved, resized, pinned or closed elements)
+    ipcMain.handle('update-canvas', (event, elements) => {
+      sessionManager.setCanvas(elements);
+      return { success: true };
+    });
+
+    ipcMain.handle('get-current-session', () => {
+      return sessionManager.getCurrentSession();
+    });
+
+    ipcMain.handle('list-sessions', () => {
+      return sessionManager.listSessions();
+    });
+
+    ipcMain.handle('create-session', (event, name) => {
+      streamManager.cancelAll();
+      const session = sessionManager.createSession(name);
+      windowManager.broadcastToAllWindows('session-switched', session);
+      return { success: true, session };
+    });
+
+    ipcMain.handle('rename-session', (event, id, name) => {
+      try {
+        sessionManager.renameSession(id, name);
+        return { success: true };
+      } catch (error) {
+        logger.error('Session rename failed', { id, error: error.message });
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('switch-session', (event, id) => {
+      try {
+        streamManager.cancelAll();
+        const session = sessionManager.switchSession(id);
+        windowManager.broadcastToAllWindows('session-switched', session);
+        return { success: true, session };
+      } catch (error) {
+        logger.error('Session switch failed', { id, error: error.message });
+        return { success: false, error: error.message };
+      }
+    });
+
+    ipcMain.handle('delete-session', (event, id) => {
+      try {
+        const wasCurrent = sessionManager.getCurrentSession().id === id;
+        if (wasCurrent) {
+          streamManager.cancelAll();
+        }
+        const session = sessionManager.deleteSession(id);
+        if (wasCurrent) {
+          windowManager.broadcastToAllWindows('session-switched', session);
+        }
+        return { success: true, session };
+      } catch (error) {
+        logger.error('Session delete failed', { id, error: error.message });
+        return { success: false, error: error.message };
+      }
+    });
+  }
+
+  // Record whatever arrived before the user stopped the stream (and what it cost).
+  // Streams stopped by a session switch only bill the session they were started in
+  finishCancelledStream(event, sessionId, fullText, toolResults, editElement, model, usageRecords) {
+    const usage = sumUsage(usageRecords);
+    if (sessionManager.getCurrentSession().id !== sessionId) {
+      sessionManager.recordUsage(usageRecords, { sessionId });
+      logger.info('Chat stream cancelled by a session change', { sessionId });
+      return { success: true, cancelled: true };
+    }
+
+    // The canvas is not touched: the renderer saves it without the results it dropped on cancel.
+    // Nothing is saved if nothing was shown (providers reject empty assistant messages)
+    const shownTools = this.getShownToolResults(toolResults);
+    if (fullText || shownTools.length > 0) {
+      sessionManager.addModelResponse(fullText || 'Tool execution completed', {
+        model,
+        editedElementId: editElement?.id,
+        tools: shownTools,
+        cancelled: true,
+        usage
+      });
+    }
+    sessionManager.recordUsage(usageRecords);
+
+    logger.info('Chat stream cancelled', { textLength: fullText.length, toolResults: toolResults.length });
+    event.sender.send('chat-stream-complete', { cancelled: true, model, usage });
+    return { success: true, cancelled: true };
+  }
+
+  // Tool results whose output is on the canvas the renderer saved when the user cancelled;
+  // the others reached main too late to be shown
+  getShownToolResults(toolResults) {
+    const shown = new Set(sessionManager.getCurrentSession().canvas
+      .flatMap(element => [element.content, ...(element.versions || []).map(version => version.content)])
+      .map(content => JSON.stringify(content)));
+    return toolResults.filter(({ result }) => {
+      const contents = result?.elements ? result.elements.map(element => element.content) : [result?.content];
+      return contents.every(content => shown.has(JSON.stringify(content)));
+    });
+  }
+
+  // Run a tool the model skipped and record it like a streamed call so it is
+  // replayed in later turns
+  async runBackfillTool(event, toolResults, toolName, args, { abortSignal, onUsage, modelId }) {
+    const toolCallId = `backfill-${crypto.randomUUID()}`;
+    const result = await aiService.getTools()[toolName].execute(args, {
+      abortSignal,
+      toolCallId,
+      experimental_context: { onUsage, modelId }
+    });
+    if (abortSignal.aborted) return;
+    event.sender.send('tool-result', { toolName, result });
+    toolResults.push({ toolCallId, toolName, args, result });
+  }
+
+  // Let the renderer explain why an element is missing
+  sendToolError(event, toolName, error) {
+    event.sender.send('tool-error', { toolName, error: error.message, errorCode: error.code });
+  }
+
+  // Pinned elements survive new messages; everything else is replaced.
+  // Edits keep the canvas as is: the renderer replaces the element and syncs its versions
+  nextCanvas(toolResults, editElement) {
+    if (editElement) {
+      return sessionManager.getCurrentSession().canvas;
+    }
+    const pinned = sessionManager.getCurrentSession().canvas.filter(element => element.pinned);
+    return [...pinned, ...this.toCanvasElements(toolResults)];
+  }
+
+  // Flatten tool results into the positioned elements shown on the canvas
+  toCanvasElements(toolResults) {
+    const typeMap = {
+      generateText: 'text',
+      generateMermaidDiagram: 'mermaid',
+      generateImage: 'image',
+      generateChart: 'chart',
+      generateTable: 'table',
+      generateCode: 'code',
+      generateTimeline: 'timeline'
+    };
+
+    return toolResults.flatMap(({ toolName, result }) => {
+      if (!result) return [];
+      if (toolName === 'generateLayout') {
+        return (result.elements || []).map(({ type, content, position }) => ({ type, content, position }));
+      }
+      if (!typeMap[toolName]) return [];
+      return [{ type: typeMap[toolName], content: result.content, position: result.position }];
+    });
+  }
+
+  // The hidden mermaid validator window alone must not keep the app running
+  onWindowClosed(closedWindow) {
+    const others = BrowserWindow.getAllWindows()
+      .filter(window => window !== closedWindow && !window.isDestroyed() && !mermaidValidator.isValidatorWindow(window));
+    if (others.length === 0) {
+      mermaidValidator.destroy();
+    }
   }
 
   onWindowAllClosed() {
@@ -306,6 +970,7 @@ class ApplicationController {
 
   onWillQuit() {
     globalShortcut.unregisterAll();
+    mermaidValidator.destroy();
     windowManager.destroyAllWindows();
     logger.info('Application shutting down');
   }
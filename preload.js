@@ -3,26 +3,71 @@ const { contextBridge, ipcRenderer } = require('electron');
 contextBridge.exposeInMainWorld('electronAPI', {
   // Chat operations
   sendChatMessage: (text) => ipcRenderer.invoke('send-chat-message', text),
-  sendChatStream: (text) => ipcRenderer.invoke('send-chat-stream', text),
+  sendChatStream: (text, options) => ipcRenderer.invoke('send-chat-stream', text, options),
+  getOutputPolicies: () => ipcRenderer.invoke('get-output-policies'),
+  listModels: (options) => ipcRenderer.invoke('list-models', options),
+  setDefaultModel: (modelId) => ipcRenderer.invoke('set-default-model', modelId),
   onChatStreamChunk: (callback) => ipcRenderer.on('chat-stream-chunk', (event, data) => callback(data)),
-  onChatStreamComplete: (callback) => ipcRenderer.on('chat-stream-complete', () => callback()),
+  cancelChatStream: () => ipcRenderer.invoke('cancel-chat-stream'),
+  onChatStreamComplete: (callback) => ipcRenderer.on('chat-stream-complete', (event, data) => callback(data || {})),
   onToolCall: (callback) => ipcRenderer.on('tool-call', (event, data) => callback(data)),
   onToolResult: (callback) => ipcRenderer.on('tool-result', (event, data) => callback(data)),
+  onToolError: (callback) => ipcRenderer.on('tool-error', (event, data) => callback(data)),
   
   // Visual generation
   generateDiagram: (prompt) => ipcRenderer.invoke('generate-diagram', prompt),
   generateImage: (prompt) => ipcRenderer.invoke('generate-image', prompt),
   
+  // Export
+  exportSession: (format, canvas) => ipcRenderer.invoke('export-session', format, canvas),
+  exportElement: (element) => ipcRenderer.invoke('export-element', element),
+  
   // Window management
   toggleVisibility: () => ipcRenderer.invoke('toggle-visibility'),
   toggleInteraction: () => ipcRenderer.invoke('toggle-interaction'),
   showVisualChat: () => ipcRenderer.invoke('show-visual-chat'),
   hideVisualChat: () => ipcRenderer.invoke('hide-visual-chat'),
   
+  // Settings
+  openSettings: () => ipcRenderer.invoke('open-settings'),
+  getSettings: () => ipcRenderer.invoke('get-settings'),
+  saveSettings: (settings) => ipcRenderer.invoke('save-settings', settings),
+  resetSettings: () => ipcRenderer.invoke('reset-settings'),
+  onSettingsChanged: (callback) => ipcRenderer.on('settings-changed', (event, data) => callback(data)),
+  getShortcutStatus: () => ipcRenderer.invoke('get-shortcut-status'),
+  onShortcutsStatus: (callback) => ipcRenderer.on('shortcuts-status', (event, data) => callback(data)),
+  onShortcutAction: (callback) => ipcRenderer.on('shortcut-action', (event, data) => callback(data)),
+
+  // Attachments (screen region capture, dropped or pasted files)
+  captureRegion: () => ipcRenderer.invoke('capture-region'),
+  prepareAttachment: (file) => ipcRenderer.invoke('prepare-attachment', file),
+  getAttachmentSettings: () => ipcRenderer.invoke('get-attachment-settings'),
+
+  // Push-to-talk speech input
+  transcribeSpeech: (recording) => ipcRenderer.invoke('transcribe-speech', recording),
+  getSpeechSettings: () => ipcRenderer.invoke('get-speech-settings'),
+  requestMicrophoneAccess: () => ipcRenderer.invoke('request-microphone-access'),
+
+  // Spoken responses
+  synthesizeSpeech: (text) => ipcRenderer.invoke('synthesize-speech', text),
+  getTtsSettings: () => ipcRenderer.invoke('get-tts-settings'),
+  getRegionSelectData: () => ipcRenderer.invoke('get-region-select-data'),
+  finishRegionSelect: (selection) => ipcRenderer.invoke('finish-region-select', selection),
+  
   // Session management
   getSessionHistory: () => ipcRenderer.invoke('get-session-history'),
+  getContextUsage: (modelId) => ipcRenderer.invoke('get-context-usage', modelId),
+  getUsage: () => ipcRenderer.invoke('get-usage'),
   clearSession: () => ipcRenderer.invoke('clear-session'),
+  getCurrentSession: () => ipcRenderer.invoke('get-current-session'),
+  listSessions: () => ipcRenderer.invoke('list-sessions'),
+  createSession: (name) => ipcRenderer.invoke('create-session', name),
+  renameSession: (id, name) => ipcRenderer.invoke('rename-session', id, name),
+  switchSession: (id) => ipcRenderer.invoke('switch-session', id),
+  deleteSession: (id) => ipcRenderer.invoke('delete-session', id),
+  updateCanvas: (elements) => ipcRenderer.invoke('update-canvas', elements),
   
   // Events
-  onSessionCleared: (callback) => ipcRenderer.on('session-cleared', () => callback())
+  onSessionCleared: (callback) => ipcRenderer.on('session-cleared', () => callback()),
+  onSessionSwitched: (callback) => ipcRenderer.on('session-switched', (event, data) => callback(data))
 });
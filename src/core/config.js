@@ -1,8 +1,15 @@
+const fs = require('fs');
 const path = require('path');
+const { EventEmitter } = require('events');
+const logger = require('./logger').createServiceLogger('CONFIG');
+const { validateUserSettings } = require('./settings-schema');
 
-class Config {
+class Config extends EventEmitter {
   constructor() {
-    this.config = {
+    super();
+    this.userConfigPath = null;
+    this.userConfig = {};
+    this.defaults = {
       app: {
         name: 'Jarvis',
         version: '1.0.0',
@@ -32,31 +39,327 @@ class Config {
           frame: false,
           alwaysOnTop: true,
           backgroundColor: '#00000000'
+        },
+        settings: {
+          width: 560,
+          height: 720,
+          minWidth: 420,
+          minHeight: 400,
+          title: 'Settings',
+          autoHideMenuBar: true
+        },
+        // Fullscreen selector for screen region captures (bounds come from the display)
+        regionSelect: {
+          frame: false,
+          transparent: true,
+          alwaysOnTop: true,
+          skipTaskbar: true,
+          resizable: false,
+          movable: false,
+          hasShadow: false,
+          enableLargerThanScreen: true
         }
       },
-      openrouter: {
-        apiKey: process.env.OPENROUTER_API_KEY,
-        model: process.env.OPENROUTER_MODEL || 'openai/gpt-3.5-turbo',
+      ai: {
+        // 'openrouter', 'openai-compatible' (OpenAI, llama.cpp, Ollama, LM Studio...)
+        // or 'replay' (offline responses from a fixture file)
+        provider: process.env.AI_PROVIDER || 'openrouter',
+        // Record every provider response into this replay fixture
+        recordFile: process.env.AI_RECORD_FILE || null,
+        model: process.env.AI_MODEL || process.env.OPENROUTER_MODEL || 'openai/gpt-3.5-turbo',
         imageModel: process.env.IMAGE_MODEL || 'openai/dall-e-3',
-        baseUrl: 'https://openrouter.ai/api/v1'
+        // Outputs required per message: 'auto', 'text-only', 'text-diagram' or 'full-visual'
+        outputPolicy: process.env.OUTPUT_POLICY || 'full-visual'
+      },
+      providers: {
+        openrouter: {
+          apiKey: process.env.OPENROUTER_API_KEY,
+          baseUrl: process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1'
+        },
+        openaiCompatible: {
+          name: process.env.OPENAI_COMPATIBLE_NAME || 'local',
+          apiKey: process.env.OPENAI_COMPATIBLE_API_KEY,
+          baseUrl: process.env.OPENAI_COMPATIBLE_BASE_URL || 'http://localhost:11434/v1'
+        },
+        replay: {
+          fixture: process.env.REPLAY_FIXTURE || path.join(__dirname, '..', '..', 'fixtures', 'replay', 'demo.json'),
+          chunkDelayMs: process.env.REPLAY_CHUNK_DELAY_MS ? parseInt(process.env.REPLAY_CHUNK_DELAY_MS, 10) : undefined
+        }
+      },
+      models: {
+        // Provider model lists for the picker, cached on disk
+        cacheFile: 'model-cache.json',
+        cacheTtlMs: 6 * 60 * 60 * 1000,
+        // Offered when the list cannot be fetched and nothing is cached
+        fallback: {
+          'openrouter': [
+            'openai/gpt-4o',
+            'openai/gpt-4o-mini',
+            'openai/gpt-4-turbo-preview',
+            'openai/gpt-3.5-turbo',
+            'anthropic/claude-3.5-sonnet',
+            'google/gemini-2.5-flash',
+            'meta-llama/llama-3.1-70b-instruct'
+          ],
+          'openai-compatible': [],
+          'replay': ['replay']
+        }
+      },
+      usage: {
+        // Optional prices (USD) per million input/output tokens and per generated image, by model id.
+        // Used when the provider does not report the cost itself (OpenRouter does), e.g.
+        // 'openai/gpt-4o': { input: 2.5, output: 10 }, 'google/gemini-2.5-flash-image': { image: 0.039 }
+        pricing: {}
+      },
+      http: {
+        // Provider requests: timeout until a response arrives, then retries with
+        // exponential backoff on 429/5xx and network errors (Retry-After is honoured)
+        timeoutMs: parseInt(process.env.HTTP_TIMEOUT_MS, 10) || 30000,
+        imageTimeoutMs: parseInt(process.env.IMAGE_TIMEOUT_MS, 10) || 120000,
+        maxRetries: process.env.HTTP_MAX_RETRIES ? parseInt(process.env.HTTP_MAX_RETRIES, 10) || 0 : 3,
+        retryBaseDelayMs: 1000,
+        retryMaxDelayMs: 30000
+      },
+      mermaid: {
+        validate: process.env.MERMAID_VALIDATE !== 'false',
+        maxRepairAttempts: 2
+      },
+      imageCache: {
+        directory: 'image-cache',
+        maxImageBytes: 20 * 1024 * 1024,
+        maxCacheBytes: 500 * 1024 * 1024
       },
       session: {
-        maxHistoryItems: 50,
-        maxRecentItems: 10
+        directory: 'sessions',
+        // History sent to the model (rolling summary + recent turns) must fit this many tokens
+        tokenBudget: {
+          default: 6000,
+          models: {
+            'openai/gpt-3.5-turbo': 12000,
+            'openai/gpt-4-turbo-preview': 60000
+          }
+        },
+        summaryMaxTokens: 500,
+        // Estimated context cost of an image attached to a message
+        imageTokens: 1000
+      },
+      attachments: {
+        maxPerMessage: 4,
+        // Files dropped or pasted into the chat input; images must also fit imageCache.maxImageBytes
+        maxFileBytes: 10 * 1024 * 1024,
+        // Text extracted from PDFs and text/code files is cut off after this many characters
+        maxTextChars: 100000,
+        // Pasted text longer than this is attached as a file instead of filling the input
+        pasteAsFileChars: 4000
+      },
+      speech: {
+        // Push-to-talk transcription: 'whisper-cpp' (local binary) or 'openai-compatible'
+        // (an /audio/transcriptions endpoint: OpenAI, Groq, a local whisper server...)
+        backend: process.env.STT_BACKEND || 'whisper-cpp',
+        // Spoken language, e.g. 'en'; '' lets the model detect it
+        language: process.env.STT_LANGUAGE || '',
+        // Send the message as soon as the final transcript arrives
+        autoSend: false,
+        // While recording, the audio so far is transcribed this often for a live transcript
+        partialIntervalMs: 1500,
+        maxRecordingMs: 120000,
+        whisperCpp: {
+          binary: process.env.WHISPER_CPP_BINARY || 'whisper-cli',
+          model: process.env.WHISPER_CPP_MODEL,
+          threads: 4,
+          timeoutMs: 60000
+        },
+        openaiCompatible: {
+          apiKey: process.env.STT_API_KEY || process.env.OPENAI_API_KEY,
+          baseUrl: process.env.STT_BASE_URL || 'https://api.openai.com/v1',
+          model: process.env.STT_MODEL || 'whisper-1'
+        }
+      },
+      tts: {
+        // Speak assistant responses aloud, sentence by sentence as they stream in
+        enabled: false,
+        // 'web-speech' (the system voices), or a local engine run by the app: 'piper' or 'espeak'
+        engine: process.env.TTS_ENGINE || 'web-speech',
+        // System voice name, eSpeak voice (e.g. 'en-us') or Piper speaker id; '' uses the default
+        voice: '',
+        // Speed relative to the voice's normal rate
+        rate: 1,
+        timeoutMs: 30000,
+        piper: {
+          binary: process.env.PIPER_BINARY || 'piper',
+          model: process.env.PIPER_MODEL
+        },
+        espeak: {
+          binary: process.env.ESPEAK_BINARY || 'espeak-ng'
+        }
+      },
+      // Global shortcuts (Electron accelerators, see core/shortcuts.js); '' leaves an action unbound
+      shortcuts: {
+        toggleVisibility: 'CommandOrControl+Shift+V',
+        toggleInteraction: 'CommandOrControl+Shift+I',
+        showVisualChat: 'CommandOrControl+Shift+C',
+        focusInput: '',
+        clearCanvas: '',
+        cancelStream: '',
+        screenshotToChat: '',
+        captureRegion: '',
+        // Press to start recording, press again to stop (global shortcuts have no key release,
+        // so this is a toggle; holding the 🎤 button is the actual push-to-talk)
+        pushToTalk: ''
+      },
+      appearance: {
+        // 'dark', 'light' or 'system'
+        theme: 'dark'
       }
     };
+    this.config = structuredClone(this.defaults);
+  }
+
+  // Merge the user's settings file over the defaults. An invalid file is ignored
+  // (and left untouched) so a bad edit never stops the app from starting
+  loadUserConfig(filePath) {
+    this.userConfigPath = filePath;
+    let settings = {};
+
+    if (fs.existsSync(filePath)) {
+      try {
+        const result = validateUserSettings(JSON.parse(fs.readFileSync(filePath, 'utf8')), { shortcuts: this.defaults.shortcuts });
+        if (result.success) {
+          settings = result.data;
+        } else {
+          logger.warn('Ignoring invalid user settings', { file: filePath, issues: result.issues });
+        }
+      } catch (error) {
+        logger.warn('Could not read user settings', { file: filePath, error: error.message });
+      }
+    }
+
+    logger.info('User settings loaded', { file: filePath, keys: leafPaths(settings).map(formatPath) });
+    this.applyUserConfig(settings);
+  }
+
+  getDefault(path) {
+    return getPath(this.defaults, path);
+  }
+
+  getUserConfig() {
+    return structuredClone(this.userConfig);
+  }
+
+  // Validate, persist and apply new user settings. Values equal to the defaults are
+  // not stored, so later changes to the defaults still reach the user.
+  // Emits 'changed' with the config paths whose effective value changed
+  updateUserConfig(settings) {
+    const result = validateUserSettings(settings, { shortcuts: this.get('shortcuts') });
+    if (!result.success) {
+      return result;
+    }
+
+    const userConfig = mergeDeep(structuredClone(this.userConfig), result.data);
+    leafPaths(userConfig).forEach(keys => {
+      if (getPath(userConfig, keys) === getPath(this.defaults, keys)) {
+        deletePath(userConfig, keys);
+      }
+    });
+
+    this.saveUserConfig(userConfig);
+    return { success: true, changed: this.applyUserConfig(userConfig) };
+  }
+
+  resetUserConfig() {
+    this.saveUserConfig({});
+    return { success: true, changed: this.applyUserConfig({}) };
+  }
+
+  applyUserConfig(userConfig) {
+    const previous = this.config;
+    // Deduplicated by value, as the paths are arrays
+    const paths = new Map([...leafPaths(this.userConfig), ...leafPaths(userConfig)].map(keys => [JSON.stringify(keys), keys]));
+
+    this.userConfig = userConfig;
+    this.config = mergeDeep(structuredClone(this.defaults), userConfig);
+
+    const changed = [...paths.values()]
+      .filter(keys => getPath(previous, keys) !== getPath(this.config, keys))
+      .map(formatPath);
+    if (changed.length > 0) {
+      logger.info('Settings changed', { changed });
+      this.emit('changed', changed);
+    }
+    return changed;
+  }
+
+  saveUserConfig(userConfig) {
+    if (!this.userConfigPath) {
+      throw new Error('User settings file is not initialized');
+    }
+    fs.mkdirSync(path.dirname(this.userConfigPath), { recursive: true });
+    const tempPath = `${this.userConfigPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(userConfig, null, 2));
+    fs.renameSync(tempPath, this.userConfigPath);
   }
 
   get(path) {
-    return path.split('.').reduce((obj, key) => obj?.[key], this.config);
+    return getPath(this.config, path);
   }
 
   set(path, value) {
-    const keys = path.split('.');
+    const keys = toKeys(path);
     const lastKey = keys.pop();
     const target = keys.reduce((obj, key) => obj[key], this.config);
     target[lastKey] = value;
   }
 }
 
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function mergeDeep(target, source) {
+  Object.entries(source).forEach(([key, value]) => {
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeDeep(target[key], value);
+    } else if (value !== undefined) {
+      target[key] = value;
+    }
+  });
+  return target;
+}
+
+// Paths are dotted strings ('ai.model') or arrays of keys. Keys that contain dots themselves,
+// such as model ids in usage.pricing, only work as arrays: ['usage', 'pricing', 'openai/gpt-4.1']
+function toKeys(path) {
+  return Array.isArray(path) ? path : path.split('.');
+}
+
+// Dotted form of a path, for logs and 'changed' events
+function formatPath(keys) {
+  return keys.join('.');
+}
+
+function getPath(obj, path) {
+  return toKeys(path).reduce((value, key) => value?.[key], obj);
+}
+
+// Remove a leaf and any objects it leaves empty
+function deletePath(obj, path) {
+  const [head, ...rest] = toKeys(path);
+  if (rest.length === 0) {
+    delete obj[head];
+    return;
+  }
+  if (!isPlainObject(obj[head])) return;
+  deletePath(obj[head], rest);
+  if (Object.keys(obj[head]).length === 0) {
+    delete obj[head];
+  }
+}
+
+// Key arrays of every non-object value, e.g. [['ai', 'model'], ['windows', 'overlay', 'width']]
+function leafPaths(obj, prefix = []) {
+  return Object.entries(obj).flatMap(([key, value]) =>
+    isPlainObject(value) ? leafPaths(value, [...prefix, key]) : [[...prefix, key]]
+  );
+}
+
 module.exports = new Config();
@@ -0,0 +1,111 @@
+// Typed errors for requests to the AI provider. `message` is meant for the user
+// (it is shown in the chat as is); `detail` keeps the provider's own message for logs.
+
+class ProviderError extends Error {
+  constructor(message, { code = 'provider', status, detail, retryAfterMs } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.code = code;
+    this.status = status;
+    this.detail = detail;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+class AuthError extends ProviderError {
+  constructor({ status, detail } = {}) {
+    super('The AI provider rejected the API key. Check the key configured for your provider.', { code: 'auth', status, detail });
+    this.name = 'AuthError';
+  }
+}
+
+class RateLimitError extends ProviderError {
+  constructor({ status = 429, detail, retryAfterMs } = {}) {
+    const wait = retryAfterMs ? ` in ${Math.ceil(retryAfterMs / 1000)} seconds` : ' in a moment';
+    super(`The AI provider is rate limiting requests. Try again${wait}.`, { code: 'rate_limit', status, detail, retryAfterMs });
+    this.name = 'RateLimitError';
+  }
+}
+
+class ContentFilterError extends ProviderError {
+  constructor({ status, detail } = {}) {
+    super('The request was blocked by the provider\'s content filter. Try rephrasing it.', { code: 'content_filter', status, detail });
+    this.name = 'ContentFilterError';
+  }
+}
+
+// Named like the DOM TimeoutError so the AI SDK passes it through without retrying
+class TimeoutError extends ProviderError {
+  constructor({ timeoutMs, detail } = {}) {
+    super(`The AI provider did not respond within ${Math.round(timeoutMs / 1000)} seconds. Try again.`, { code: 'timeout', detail });
+    this.name = 'TimeoutError';
+  }
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(headers = {}) {
+  const value = headers['retry-after-ms'] ?? headers['retry-after'];
+  if (value === undefined || value === null) return undefined;
+
+  if (headers['retry-after-ms'] !== undefined) {
+    const ms = parseFloat(value);
+    return Number.isNaN(ms) ? undefined : ms;
+  }
+  const seconds = parseFloat(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+// Provider error message from an OpenAI-style error body
+function getProviderMessage(body) {
+  if (!body) return undefined;
+  if (typeof body === 'string') {
+    try {
+      return getProviderMessage(JSON.parse(body)) || body;
+    } catch {
+      return body;
+    }
+  }
+  if (typeof body === 'object' && typeof body.pipe !== 'function') {
+    return body.error?.message || body.message;
+  }
+  return undefined;
+}
+
+// Map a failed HTTP call (axios error or AI SDK APICallError/RetryError) to a typed error
+function classifyError(error) {
+  if (!error || error instanceof ProviderError) return error;
+  if (error.name === 'AI_RetryError' && error.lastError) return classifyError(error.lastError);
+
+  const status = error.response?.status ?? error.statusCode;
+  const headers = error.response?.headers ?? error.responseHeaders;
+  const detail = getProviderMessage(error.response?.data ?? error.responseBody) || error.message;
+
+  if (status === 401 || (status === 403 && !/flagged|moderation/i.test(detail))) {
+    return new AuthError({ status, detail });
+  }
+  if (status === 403 || (status === 400 && /content.?(filter|policy)|safety/i.test(detail))) {
+    return new ContentFilterError({ status, detail });
+  }
+  if (status === 429) {
+    return new RateLimitError({ status, detail, retryAfterMs: parseRetryAfter(headers) });
+  }
+  if (status) {
+    return new ProviderError(`The AI provider returned an error (${status}): ${detail}`, { status, detail });
+  }
+  if (['ECONNREFUSED', 'ENOTFOUND', 'ECONNRESET', 'EAI_AGAIN'].includes(error.code) || /fetch failed/i.test(error.message)) {
+    return new ProviderError('Could not reach the AI provider. Check your connection and provider URL.', { code: 'network', detail });
+  }
+  return error;
+}
+
+module.exports = {
+  ProviderError,
+  AuthError,
+  RateLimitError,
+  ContentFilterError,
+  TimeoutError,
+  parseRetryAfter,
+  classifyError
+};
@@ -0,0 +1,117 @@
+// Converts stored conversation history into messages for the model, replaying
+// the tool calls each assistant turn made so the model can refer back to the
+// diagrams and images it produced. Large payloads are replaced by compact references.
+
+const MAX_REPLAYED_STRING_LENGTH = 4000;
+
+function compactValue(value) {
+  if (typeof value === 'string') {
+    if (value.startsWith('data:')) {
+      return `[inline ${value.slice(5, value.indexOf(';')) || 'data'} omitted]`;
+    }
+    if (value.length > MAX_REPLAYED_STRING_LENGTH) {
+      return `${value.slice(0, MAX_REPLAYED_STRING_LENGTH)}… [${value.length - MAX_REPLAYED_STRING_LENGTH} characters omitted]`;
+    }
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(compactValue);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, compactValue(item)]));
+  }
+  return value;
+}
+
+// Tool calls recorded on an assistant entry, with stable ids for older entries
+function getToolCalls(entry, entryIndex) {
+  return (entry.metadata?.tools || []).map((call, callIndex) => ({
+    toolCallId: call.toolCallId || `history-${entryIndex}-${callIndex}`,
+    toolName: call.toolName,
+    args: compactValue(call.args || {}),
+    result: compactValue(call.result ?? null)
+  }));
+}
+
+// Text of an attached file as the model sees it
+function getAttachmentText(attachment) {
+  const note = attachment.truncated ? ' (truncated)' : '';
+  return `<attachment name="${attachment.name.replace(/"/g, "'")}"${note}>\n${attachment.text}\n</attachment>`;
+}
+
+// Multimodal user content: the text, then each attachment (files as text parts). loadImage
+// returns an AI SDK image part for an attached image, or null when it is no longer available
+function toUserContent(text, attachments, loadImage) {
+  const parts = text ? [{ type: 'text', text }] : [];
+  attachments.forEach(attachment => {
+    if (attachment.type === 'text') {
+      parts.push({ type: 'text', text: getAttachmentText(attachment) });
+    } else {
+      parts.push(loadImage?.(attachment) || { type: 'text', text: `[${attachment.name || 'Image'} no longer available]` });
+    }
+  });
+  return parts;
+}
+
+// AI SDK ModelMessages: assistant tool-call parts, tool-result parts, then the assistant text.
+// Attachments of user entries are replayed (images only when a loadImage function is given)
+function toModelMessages(history, { loadImage } = {}) {
+  return history.flatMap((entry, index) => {
+    if (entry.role === 'user' && entry.attachments?.length > 0) {
+      return [{ role: 'user', content: toUserContent(entry.content, entry.attachments, loadImage) }];
+    }
+
+    const toolCalls = entry.role === 'assistant' ? getToolCalls(entry, index) : [];
+    if (toolCalls.length === 0) {
+      return [{ role: entry.role, content: entry.content }];
+    }
+
+    const messages = [
+      {
+        role: 'assistant',
+        content: toolCalls.map(({ toolCallId, toolName, args }) => ({
+          type: 'tool-call', toolCallId, toolName, input: args
+        }))
+      },
+      {
+        role: 'tool',
+        content: toolCalls.map(({ toolCallId, toolName, result }) => ({
+          type: 'tool-result', toolCallId, toolName, output: { type: 'json', value: result }
+        }))
+      }
+    ];
+    if (entry.content) {
+      messages.push({ role: 'assistant', content: entry.content });
+    }
+    return messages;
+  });
+}
+
+// Plain chat-completion messages for requests made without tool definitions:
+// tool outputs are appended to the assistant text since tool_calls would be rejected
+function toChatCompletionMessages(history) {
+  return history.map((entry, index) => {
+    const files = (entry.attachments || []).filter(attachment => attachment.type === 'text');
+    if (files.length > 0) {
+      return { role: entry.role, content: [entry.content, ...files.map(getAttachmentText)].filter(Boolean).join('\n\n') };
+    }
+
+    const toolCalls = entry.role === 'assistant' ? getToolCalls(entry, index) : [];
+    if (toolCalls.length === 0) {
+      return { role: entry.role, content: entry.content };
+    }
+
+    const toolSummary = toolCalls
+      .map(({ toolName, args, result }) => `[${toolName}] input: ${JSON.stringify(args)} output: ${JSON.stringify(result)}`)
+      .join('\n');
+    return { role: 'assistant', content: `${entry.content}\n\n${toolSummary}`.trim() };
+  });
+}
+
+// Replayed tool payload of an entry, for token accounting
+function getToolPayloadText(entry) {
+  const toolCalls = getToolCalls(entry, 0);
+  return toolCalls.length > 0 ? JSON.stringify(toolCalls.map(({ args, result }) => ({ args, result }))) : '';
+}
+
+module.exports = { compactValue, getAttachmentText, toUserContent, toModelMessages, toChatCompletionMessages, getToolPayloadText };
@@ -0,0 +1,113 @@
+const axios = require('axios');
+const logger = require('./logger').createServiceLogger('HTTP');
+const config = require('./config');
+const { TimeoutError, classifyError, parseRetryAfter } = require('./errors');
+
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+
+// Shared HTTP client for provider calls: per-request timeouts, exponential backoff
+// on 429/5xx and network failures (honouring Retry-After), and typed errors.
+class HttpClient {
+  post(url, data, options = {}) {
+    return this.request({ ...options, method: 'post', url, data });
+  }
+
+  get(url, options = {}) {
+    return this.request({ ...options, method: 'get', url });
+  }
+
+  // options: axios request config; timeout defaults to http.timeoutMs, retries to http.maxRetries
+  async request({ retries = config.get('http.maxRetries'), ...options }) {
+    const timeout = options.timeout ?? config.get('http.timeoutMs');
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await axios.request({ ...options, timeout });
+      } catch (error) {
+        if (axios.isCancel(error) || options.signal?.aborted) throw error;
+        if (this.isTimeout(error)) {
+          throw new TimeoutError({ timeoutMs: timeout, detail: error.message });
+        }
+
+        const delay = this.getRetryDelay(error, attempt);
+        if (attempt >= retries || delay === null) {
+          throw classifyError(error);
+        }
+
+        logger.warn('Retrying request', {
+          url: options.url,
+          status: error.response?.status,
+          code: error.code,
+          attempt: attempt + 1,
+          delay
+        });
+        await this.sleep(delay, options.signal);
+      }
+    }
+  }
+
+  // fetch for the AI SDK providers. The timeout covers the wait for response headers
+  // only, so long streamed answers are not cut off.
+  async fetch(url, init = {}) {
+    const timeoutMs = config.get('http.timeoutMs');
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+
+    const onAbort = () => controller.abort(init.signal.reason);
+    init.signal?.addEventListener('abort', onAbort, { once: true });
+    if (init.signal?.aborted) onAbort();
+
+    try {
+      return await globalThis.fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+      if (timedOut) throw new TimeoutError({ timeoutMs, detail: error.message });
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      // The caller's signal usually outlives the request
+      init.signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  isTimeout(error) {
+    return error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+  }
+
+  // Milliseconds to wait before retrying, or null if the error is not retryable
+  getRetryDelay(error, attempt) {
+    const status = error.response?.status;
+    const retryable = status === 429 || status >= 500 || (!error.response && RETRYABLE_NETWORK_CODES.includes(error.code));
+    if (!retryable) return null;
+
+    const maxDelay = config.get('http.retryMaxDelayMs');
+    const retryAfter = parseRetryAfter(error.response?.headers);
+    if (retryAfter !== undefined) {
+      // Waiting longer than allowed is pointless; report the rate limit instead
+      return retryAfter > maxDelay ? null : retryAfter;
+    }
+
+    // Exponential backoff with jitter so parallel tool requests do not retry in lockstep
+    const backoff = config.get('http.retryBaseDelayMs') * 2 ** attempt;
+    return Math.round(Math.min(maxDelay, backoff * (0.75 + Math.random() * 0.5)));
+  }
+
+  sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+}
+
+module.exports = new HttpClient();
@@ -0,0 +1,66 @@
+const config = require('./config');
+
+// Tool name -> output type it produces on the canvas
+const TOOL_OUTPUT_TYPES = {
+  generateText: 'text',
+  generateMermaidDiagram: 'diagram',
+  generateImage: 'image'
+};
+
+// What the assistant must (or may) produce for each message
+const OUTPUT_POLICIES = {
+  'auto': {
+    label: 'Auto',
+    required: [],
+    tools: ['generateText', 'generateMermaidDiagram', 'generateImage', 'generateChart', 'generateTable', 'generateCode', 'generateTimeline', 'generateLayout'],
+    instructions: `Decide which outputs best serve the request. Answer simple questions with text only (plain streamed text or generateText).
+Use generateMermaidDiagram when a process, structure or relationship benefits from a diagram, and generateImage only when a picture genuinely adds value.
+Use generateChart for numeric data, generateTable for structured comparisons, generateCode for code and generateTimeline for events over time.`
+  },
+  'text-only': {
+    label: 'Text',
+    required: ['text'],
+    tools: ['generateText', 'generateTable', 'generateCode'],
+    instructions: `For every user request, use the generateText tool to provide a clear explanation or response. Do not produce diagrams or images.
+Code may be shown with generateCode and structured data with generateTable.`
+  },
+  'text-diagram': {
+    label: 'Text + Diagram',
+    required: ['text', 'diagram'],
+    tools: ['generateText', 'generateMermaidDiagram', 'generateChart', 'generateTable', 'generateCode', 'generateTimeline', 'generateLayout'],
+    instructions: `For every user request, you MUST generate BOTH of the following:
+1. Text content using generateText tool - Provide a clear explanation or response to the user's request
+2. Mermaid diagram using generateMermaidDiagram tool - Create a visual diagram that represents the concept, process, or idea related to the request
+Do not generate images. Charts, tables, code and timelines may be added where they help.`
+  },
+  'full-visual': {
+    label: 'Full visual',
+    required: ['text', 'diagram', 'image'],
+    tools: ['generateText', 'generateMermaidDiagram', 'generateImage', 'generateChart', 'generateTable', 'generateCode', 'generateTimeline', 'generateLayout'],
+    instructions: `CRITICAL REQUIREMENT: For EVERY user request, you MUST generate ALL THREE of the following:
+1. Text content using generateText tool - Provide a clear explanation or response to the user's request
+2. Mermaid diagram using generateMermaidDiagram tool - Create a visual diagram that represents the concept, process, or idea related to the request
+3. Image using generateImage tool - Generate a visual image that complements the text and diagram
+
+This is MANDATORY for every single request, regardless of how simple or complex it is. Even for simple questions like "What is 2+2?", you must:
+- Generate text explaining the answer
+- Create a diagram showing the calculation visually
+- Generate an image related to numbers/math`
+  }
+};
+
+// Resolve a policy name (falling back to the configured default)
+function getOutputPolicy(name) {
+  const policyName = name || config.get('ai.outputPolicy');
+  const policy = OUTPUT_POLICIES[policyName];
+  if (!policy) {
+    throw new Error(`Unknown output policy "${policyName}". Expected one of: ${Object.keys(OUTPUT_POLICIES).join(', ')}`);
+  }
+  return { name: policyName, ...policy };
+}
+
+function listOutputPolicies() {
+  return Object.entries(OUTPUT_POLICIES).map(([name, { label }]) => ({ name, label }));
+}
+
+module.exports = { TOOL_OUTPUT_TYPES, getOutputPolicy, listOutputPolicies };
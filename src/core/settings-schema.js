@@ -0,0 +1,111 @@
+const { z } = require('zod');
+const { SHORTCUT_ACTIONS, isValidAccelerator, findShortcutConflicts } = require('./shortcuts');
+
+const THEMES = ['dark', 'light', 'system'];
+
+// An empty string leaves the action unbound
+const accelerator = z.string().trim().refine(value => value === '' || isValidAccelerator(value), {
+  message: 'Not a valid shortcut (e.g. CommandOrControl+Shift+V)'
+});
+
+const windowSize = z.object({
+  width: z.number().int().min(200).max(7680).optional(),
+  height: z.number().int().min(40).max(4320).optional()
+});
+
+const tokenCount = z.number().int().positive('Token budget must be a positive number');
+
+// USD per million input/output tokens and per generated image (see config usage.pricing)
+const modelPrice = z.object({
+  input: z.number().min(0).optional(),
+  output: z.number().min(0).optional(),
+  image: z.number().min(0).optional()
+});
+
+// Provider types come from the provider registry. It is required on first use because the
+// providers read config, which loads this module
+const providerType = z.lazy(() => z.enum(require('../providers').providerTypes));
+
+// Settings the user can change; every key is optional because the file only holds overrides
+const userSettingsSchema = z.object({
+  ai: z.object({
+    provider: providerType.optional(),
+    model: z.string().trim().min(1, 'Model is required').optional(),
+    imageModel: z.string().trim().min(1, 'Image model is required').optional(),
+    outputPolicy: z.enum(['auto', 'text-only', 'text-diagram', 'full-visual']).optional()
+  }).optional(),
+  providers: z.object({
+    openrouter: z.object({
+      baseUrl: z.url('Base URL must be a valid URL').optional()
+    }).optional(),
+    openaiCompatible: z.object({
+      baseUrl: z.url('Base URL must be a valid URL').optional()
+    }).optional()
+  }).optional(),
+  speech: z.object({
+    backend: z.enum(['whisper-cpp', 'openai-compatible']).optional(),
+    language: z.string().trim().optional(),
+    autoSend: z.boolean().optional()
+  }).optional(),
+  tts: z.object({
+    enabled: z.boolean().optional(),
+    engine: z.enum(['web-speech', 'piper', 'espeak']).optional(),
+    voice: z.string().trim().optional(),
+    rate: z.number().min(0.5, 'Rate must be between 0.5 and 2').max(2, 'Rate must be between 0.5 and 2').optional()
+  }).optional(),
+  shortcuts: z.object(
+    Object.fromEntries(Object.keys(SHORTCUT_ACTIONS).map(action => [action, accelerator.optional()]))
+  ).optional(),
+  windows: z.object({
+    overlay: windowSize.optional(),
+    visualChat: windowSize.optional()
+  }).optional(),
+  appearance: z.object({
+    theme: z.enum(THEMES).optional()
+  }).optional(),
+  // Per-model settings are keyed by model id; the settings file is their only editor
+  usage: z.object({
+    pricing: z.record(z.string(), modelPrice).optional()
+  }).optional(),
+  session: z.object({
+    tokenBudget: z.object({
+      default: tokenCount.optional(),
+      models: z.record(z.string(), tokenCount).optional()
+    }).optional()
+  }).optional()
+});
+
+// Dotted paths of every editable setting, e.g. ['ai.provider', ..., 'appearance.theme']
+function listSettingPaths(schema = userSettingsSchema, prefix = '') {
+  return Object.entries(schema.shape).flatMap(([key, field]) => {
+    const inner = field instanceof z.ZodOptional ? field.unwrap() : field;
+    return inner instanceof z.ZodObject ? listSettingPaths(inner, `${prefix}${key}.`) : [`${prefix}${key}`];
+  });
+}
+
+// { success, data } or { success: false, issues: [{ path, message }] }.
+// Shortcuts are checked for duplicates together with the current ones they do not replace
+function validateUserSettings(settings, { shortcuts = {} } = {}) {
+  const result = userSettingsSchema.safeParse(settings);
+  if (!result.success) {
+    return {
+      success: false,
+      issues: result.error.issues.map(issue => ({ path: issue.path.join('.'), message: issue.message }))
+    };
+  }
+
+  const conflicts = findShortcutConflicts({ ...shortcuts, ...result.data.shortcuts });
+  if (conflicts.length > 0) {
+    return {
+      success: false,
+      issues: conflicts.map(({ action, conflictsWith }) => ({
+        path: `shortcuts.${action}`,
+        message: `Same shortcut as "${SHORTCUT_ACTIONS[conflictsWith]}"`
+      }))
+    };
+  }
+
+  return { success: true, data: result.data };
+}
+
+module.exports = { THEMES, userSettingsSchema, validateUserSettings, listSettingPaths };
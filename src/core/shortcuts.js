@@ -0,0 +1,86 @@
+// Bindable global shortcut actions (config.shortcuts: action -> accelerator)
+const SHORTCUT_ACTIONS = {
+  toggleVisibility: 'Toggle visibility',
+  toggleInteraction: 'Toggle click-through',
+  showVisualChat: 'Open visual chat',
+  focusInput: 'Focus chat input',
+  clearCanvas: 'Clear canvas',
+  cancelStream: 'Cancel response',
+  screenshotToChat: 'Screenshot to chat',
+  captureRegion: 'Capture screen region',
+  pushToTalk: 'Start/stop speech input'
+};
+
+const MODIFIER_ALIASES = {
+  Command: 'Command',
+  Cmd: 'Command',
+  Control: 'Control',
+  Ctrl: 'Control',
+  CommandOrControl: 'CommandOrControl',
+  CmdOrCtrl: 'CommandOrControl',
+  Alt: 'Alt',
+  Option: 'Alt',
+  AltGr: 'AltGr',
+  Shift: 'Shift',
+  Super: 'Super',
+  Meta: 'Super'
+};
+
+const NAMED_KEYS = [
+  'Plus', 'Space', 'Tab', 'Capslock', 'Numlock', 'Scrolllock', 'Backspace', 'Delete', 'Insert', 'Return', 'Enter',
+  'Up', 'Down', 'Left', 'Right', 'Home', 'End', 'PageUp', 'PageDown', 'Escape', 'Esc', 'PrintScreen',
+  'VolumeUp', 'VolumeDown', 'VolumeMute', 'MediaNextTrack', 'MediaPreviousTrack', 'MediaStop', 'MediaPlayPause'
+];
+
+const KEY_ALIASES = { Enter: 'Return', Esc: 'Escape', '+': 'Plus' };
+
+// "Ctrl++" -> { modifiers: ['Ctrl'], key: '+' }
+function splitAccelerator(accelerator) {
+  const parts = accelerator.split('+');
+  if (accelerator.endsWith('++')) parts.splice(-2, 2, '+');
+  return { key: parts.pop(), modifiers: parts };
+}
+
+// Electron accelerator: one or more modifiers followed by a single key, e.g. "CommandOrControl+Shift+V"
+function isValidAccelerator(accelerator) {
+  const { key, modifiers } = splitAccelerator(accelerator);
+  if (modifiers.length === 0 || !modifiers.every(modifier => MODIFIER_ALIASES[modifier])) return false;
+  return /^[A-Za-z0-9]$/.test(key)
+    || /^F([1-9]|1[0-9]|2[0-4])$/.test(key)
+    || /^num([0-9]|dec|add|sub|mult|div)$/.test(key)
+    || /^[)!@#$%^&*(:;<=>?_~{}|"',./`[\]\\+-]$/.test(key)
+    || NAMED_KEYS.includes(key);
+}
+
+// Canonical form for comparing bindings: aliases resolved, CommandOrControl mapped
+// to the platform's key, modifiers sorted ("Ctrl+Shift+v" === "Shift+CmdOrCtrl+V" off macOS)
+function normalizeAccelerator(accelerator, platform = process.platform) {
+  const { key, modifiers } = splitAccelerator(accelerator);
+  const commandOrControl = platform === 'darwin' ? 'Command' : 'Control';
+  const normalizedModifiers = modifiers
+    .map(modifier => MODIFIER_ALIASES[modifier] || modifier)
+    .map(modifier => (modifier === 'CommandOrControl' ? commandOrControl : modifier));
+  const normalizedKey = KEY_ALIASES[key] || (key.length === 1 ? key.toUpperCase() : key);
+  return [...new Set(normalizedModifiers)].sort().concat(normalizedKey).join('+');
+}
+
+// Actions bound to the same keys as another action: [{ action, conflictsWith }]
+function findShortcutConflicts(shortcuts) {
+  const bound = Object.entries(shortcuts)
+    .filter(([, accelerator]) => accelerator && isValidAccelerator(accelerator))
+    .map(([action, accelerator]) => ({ action, key: normalizeAccelerator(accelerator) }));
+
+  return bound.flatMap(({ action, key }) =>
+    bound
+      .filter(other => other.action !== action && other.key === key)
+      .slice(0, 1)
+      .map(other => ({ action, conflictsWith: other.action }))
+  );
+}
+
+module.exports = {
+  SHORTCUT_ACTIONS,
+  isValidAccelerator,
+  normalizeAccelerator,
+  findShortcutConflicts
+};
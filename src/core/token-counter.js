@@ -0,0 +1,23 @@
+const { countTokens: countTextTokens } = require('gpt-tokenizer');
+const config = require('./config');
+
+// Approximate per-message overhead of chat formatting (role, separators)
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Token counts use the GPT tokenizer for every model; other model families
+// tokenize differently, so budgets leave some headroom.
+function countTokens(text) {
+  return text ? countTextTokens(text) : 0;
+}
+
+function countMessageTokens(message) {
+  return countTokens(message.content) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+// Context budget for history (summary + recent turns) of a given model
+function getTokenBudget(modelId) {
+  const budgets = config.get('session.tokenBudget');
+  return budgets.models[modelId] || budgets.default;
+}
+
+module.exports = { MESSAGE_OVERHEAD_TOKENS, countTokens, countMessageTokens, getTokenBudget };
@@ -0,0 +1,72 @@
+const config = require('./config');
+
+// Token usage and cost of model calls. Every call becomes a record:
+// { kind: 'chat' | 'diagram' | 'image' | 'summary', model, inputTokens, outputTokens, totalTokens, images, cost }
+// cost is in USD: reported by the provider when available (OpenRouter usage accounting),
+// otherwise estimated from config usage.pricing, otherwise null (unknown).
+
+// AI SDK usage ({ inputTokens, outputTokens }) or OpenAI-style ({ prompt_tokens, completion_tokens, cost })
+function normalizeUsage(usage = {}) {
+  const inputTokens = usage.inputTokens ?? usage.prompt_tokens ?? usage.promptTokens ?? 0;
+  const outputTokens = usage.outputTokens ?? usage.completion_tokens ?? usage.completionTokens ?? 0;
+  return {
+    inputTokens,
+    outputTokens,
+    totalTokens: usage.totalTokens ?? usage.total_tokens ?? inputTokens + outputTokens,
+    cost: typeof usage.cost === 'number' ? usage.cost : null
+  };
+}
+
+// USD from the configured per-model prices, or null when the model has no price
+function estimateCost(model, { inputTokens = 0, outputTokens = 0, images = 0 }) {
+  const price = config.get('usage.pricing')?.[model];
+  if (!price) return null;
+  return (inputTokens * (price.input || 0) + outputTokens * (price.output || 0)) / 1e6
+    + images * (price.image || 0);
+}
+
+function createUsageRecord(kind, model, usage, { images = 0 } = {}) {
+  const { inputTokens, outputTokens, totalTokens, cost } = normalizeUsage(usage || {});
+  return {
+    kind,
+    model,
+    inputTokens,
+    outputTokens,
+    totalTokens,
+    images,
+    cost: cost ?? estimateCost(model, { inputTokens, outputTokens, images })
+  };
+}
+
+function emptyUsage() {
+  return { inputTokens: 0, outputTokens: 0, totalTokens: 0, images: 0, cost: 0, unpricedCalls: 0, calls: 0, byKind: {} };
+}
+
+// Add records to a totals object (as returned by emptyUsage); cost only sums known prices
+function addUsage(totals, records) {
+  records.forEach(record => {
+    totals.inputTokens += record.inputTokens;
+    totals.outputTokens += record.outputTokens;
+    totals.totalTokens += record.totalTokens;
+    totals.images += record.images || 0;
+    totals.calls += 1;
+    if (record.cost === null) {
+      totals.unpricedCalls += 1;
+    } else {
+      totals.cost += record.cost;
+    }
+
+    const kind = totals.byKind[record.kind] || { totalTokens: 0, cost: 0, calls: 0 };
+    kind.totalTokens += record.totalTokens;
+    kind.cost += record.cost || 0;
+    kind.calls += 1;
+    totals.byKind[record.kind] = kind;
+  });
+  return totals;
+}
+
+function sumUsage(records) {
+  return addUsage(emptyUsage(), records);
+}
+
+module.exports = { normalizeUsage, estimateCost, createUsageRecord, emptyUsage, addUsage, sumUsage };
@@ -1,39 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 const logger = require('../core/logger').createServiceLogger('SESSION_MANAGER');
 const config = require('../core/config');
+const { MESSAGE_OVERHEAD_TOKENS, countTokens, countMessageTokens, getTokenBudget } = require('../core/token-counter');
+const { getAttachmentText, getToolPayloadText } = require('../core/history-messages');
+const { emptyUsage, addUsage } = require('../core/usage');
 
 class SessionManager {
   constructor() {
     this.conversationHistory = [];
     this.events = [];
-    this.maxHistoryItems = config.get('session.maxHistoryItems');
-    this.maxRecentItems = config.get('session.maxRecentItems');
+    this.canvas = [];
+    this.summary = null; // { content, tokens, lastEntryId, updatedAt } covering turns dropped from context
+    this.usage = emptyUsage(); // Token and cost totals of every model call made for the session
+    this.currentSession = null;
+    this.storageDir = null;
+    this.summarizer = null;
+    this.summarizing = null;
   }
 
-  addUserInput(text, source = 'chat') {
+  // async (previousSummary, entries, { onUsage }) => summary text; provided by the AI layer
+  setSummarizer(summarizer) {
+    this.summarizer = summarizer;
+  }
+
+  // Load the most recent session from disk (or start a fresh one)
+  initialize(storageDir) {
+    this.storageDir = storageDir;
+    fs.mkdirSync(this.storageDir, { recursive: true });
+
+    const sessions = this.listSessions();
+    if (sessions.length > 0) {
+      this.switchSession(sessions[0].id);
+    } else {
+      this.createSession();
+    }
+
+    logger.info('Session storage initialized', { storageDir, sessionCount: sessions.length });
+  }
+
+  // attachments: images and files sent with the message (see attachment.service.js), replayed with history
+  addUserInput(text, source = 'chat', { attachments = [] } = {}) {
     const entry = {
+      id: crypto.randomUUID(),
       role: 'user',
       content: text,
+      tokens: this.countInputTokens(text, attachments),
       timestamp: new Date().toISOString(),
       source
     };
+    if (attachments.length > 0) {
+      entry.attachments = attachments;
+    }
 
     this.conversationHistory.push(entry);
-    this.trimHistory();
-    
-    logger.debug('User input added', { source, length: text.length });
+    this.save();
+
+    logger.debug('User input added', { source, length: text.length, attachments: attachments.length });
+  }
+
+  // Tokens of a user message with its attachments (images count a fixed amount)
+  countInputTokens(text, attachments = []) {
+    const attachmentTokens = attachments.reduce((sum, attachment) => sum + (attachment.type === 'text'
+      ? countTokens(getAttachmentText(attachment))
+      : config.get('session.imageTokens')), 0);
+    return countTokens(text) + attachmentTokens;
+  }
+
+  // Whether a new message fits the model's budget. The summary is always sent with it,
+  // so only what is left of the budget after the summary is available to the message
+  measureInput(text, attachments = [], modelId) {
+    const inputTokens = this.countInputTokens(text, attachments);
+    const summaryTokens = this.summary?.tokens || 0;
+    const budget = getTokenBudget(modelId);
+    return {
+      inputTokens,
+      summaryTokens,
+      budget,
+      fits: inputTokens + summaryTokens + MESSAGE_OVERHEAD_TOKENS <= budget
+    };
   }
 
   addModelResponse(text, metadata = {}) {
     const entry = {
+      id: crypto.randomUUID(),
       role: 'assistant',
       content: text,
       timestamp: new Date().toISOString(),
       metadata
     };
+    // Tool calls are replayed to the model, so they count towards the budget
+    entry.tokens = countTokens(text) + countTokens(getToolPayloadText(entry));
 
     this.conversationHistory.push(entry);
-    this.trimHistory();
-    
+    this.save();
+
     logger.debug('Model response added', { length: text.length });
   }
 
@@ -42,33 +104,304 @@ class SessionManager {
       description: eventDescription,
       timestamp: new Date().toISOString()
     });
+    this.save();
+  }
+
+  // Usage records (core/usage.js) of model calls made for the current session, or for
+  // sessionId when the calls were made for a session that is no longer the current one
+  recordUsage(records, { sessionId = this.currentSession?.id } = {}) {
+    if (records.length === 0) return;
+
+    if (sessionId !== this.currentSession?.id) {
+      try {
+        const data = this.readSessionFile(sessionId);
+        data.usage = { ...emptyUsage(), ...data.usage };
+        addUsage(data.usage, records);
+        this.writeSessionFile(data);
+        logger.debug('Usage recorded for another session', { sessionId, calls: records.length });
+      } catch (error) {
+        logger.warn('Could not record usage for session', { sessionId, error: error.message });
+      }
+      return;
+    }
+
+    addUsage(this.usage, records);
+    this.save();
+    logger.debug('Usage recorded', { calls: records.length, totalTokens: this.usage.totalTokens });
   }
 
-  getOptimizedHistory() {
-    const recentCount = Math.min(this.maxRecentItems, this.conversationHistory.length);
-    const recent = this.conversationHistory.slice(-recentCount);
+  getUsage() {
+    return this.usage;
+  }
+
+  // Positioned elements currently shown on the visual canvas
+  setCanvas(elements) {
+    this.canvas = elements;
+    this.save();
+    logger.debug('Canvas updated', { elementCount: elements.length });
+  }
+
+  // Newest turns that fit the model's token budget, plus the rolling summary of older ones
+  getOptimizedHistory(modelId) {
+    const { recentStart, usage } = this.buildContext(modelId);
 
     return {
-      recent,
+      recent: this.conversationHistory.slice(recentStart),
+      summary: this.summary?.content || null,
       full: this.conversationHistory,
-      count: this.conversationHistory.length
+      count: this.conversationHistory.length,
+      usage
     };
   }
 
-  trimHistory() {
-    if (this.conversationHistory.length > this.maxHistoryItems) {
-      const excess = this.conversationHistory.length - this.maxHistoryItems;
-      this.conversationHistory.splice(0, excess);
-      logger.debug('History trimmed', { removed: excess });
+  getContextUsage(modelId) {
+    return this.buildContext(modelId).usage;
+  }
+
+  buildContext(modelId) {
+    const budget = getTokenBudget(modelId);
+    const summaryTokens = this.summary?.tokens || 0;
+    let used = summaryTokens;
+    let recentStart = this.conversationHistory.length;
+
+    // Walk back from the newest entry until the budget is exhausted
+    for (let i = this.conversationHistory.length - 1; i >= 0; i--) {
+      const tokens = this.getEntryTokens(this.conversationHistory[i]);
+      if (used + tokens > budget) break;
+      used += tokens;
+      recentStart = i;
+    }
+
+    return {
+      recentStart,
+      usage: {
+        model: modelId,
+        budget,
+        used,
+        summaryTokens,
+        includedCount: this.conversationHistory.length - recentStart,
+        droppedCount: recentStart,
+        unsummarizedCount: this.getUnsummarizedEntries(recentStart).length
+      }
+    };
+  }
+
+  // Fold turns that no longer fit the budget into the rolling summary
+  async updateSummary(modelId) {
+    if (!this.summarizer) return;
+    if (this.summarizing) return this.summarizing;
+
+    const { recentStart } = this.buildContext(modelId);
+    const entries = this.getUnsummarizedEntries(recentStart);
+    if (entries.length === 0) return;
+
+    const sessionId = this.currentSession?.id;
+    this.summarizing = (async () => {
+      const usageRecords = [];
+      try {
+        const content = await this.summarizer(this.summary?.content || null, entries, {
+          onUsage: record => usageRecords.push(record)
+        });
+        // Ignore the result if the user switched sessions meanwhile
+        if (this.currentSession?.id !== sessionId) return;
+
+        this.summary = {
+          content,
+          tokens: countMessageTokens({ content }),
+          lastEntryId: entries[entries.length - 1].id,
+          updatedAt: new Date().toISOString()
+        };
+        this.save();
+        logger.info('Conversation summary updated', { summarizedEntries: entries.length, tokens: this.summary.tokens });
+      } catch (error) {
+        logger.error('Conversation summary failed', { error: error.message });
+      } finally {
+        // The calls were billed either way, to the session that was summarised
+        this.recordUsage(usageRecords, { sessionId });
+        this.summarizing = null;
+      }
+    })();
+
+    return this.summarizing;
+  }
+
+  // Entries before recentStart that are not yet covered by the summary. If the summary's
+  // last entry is not in the history, all of them are folded in again
+  getUnsummarizedEntries(recentStart) {
+    const lastIndex = this.summary
+      ? this.conversationHistory.findIndex(entry => entry.id === this.summary.lastEntryId)
+      : -1;
+    return this.conversationHistory.slice(lastIndex + 1, recentStart);
+  }
+
+  getEntryTokens(entry) {
+    if (entry.tokens === undefined) {
+      entry.tokens = countTokens(entry.content) + countTokens(getToolPayloadText(entry));
     }
+    return entry.tokens + MESSAGE_OVERHEAD_TOKENS;
   }
 
   clear() {
     this.conversationHistory = [];
     this.events = [];
+    this.canvas = [];
+    this.summary = null;
+    this.usage = emptyUsage();
+    this.save();
     logger.info('Session cleared');
   }
 
+  createSession(name) {
+    const now = new Date().toISOString();
+    this.currentSession = {
+      id: crypto.randomUUID(),
+      name: name || `Session ${new Date().toLocaleString()}`,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.conversationHistory = [];
+    this.events = [];
+    this.canvas = [];
+    this.summary = null;
+    this.usage = emptyUsage();
+    this.save();
+
+    logger.info('Session created', { id: this.currentSession.id, name: this.currentSession.name });
+    return this.getCurrentSession();
+  }
+
+  listSessions() {
+    if (!this.storageDir) return [];
+
+    return fs.readdirSync(this.storageDir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => {
+        try {
+          const data = JSON.parse(fs.readFileSync(path.join(this.storageDir, file), 'utf8'));
+          return {
+            id: data.id,
+            name: data.name,
+            createdAt: data.createdAt,
+            updatedAt: data.updatedAt,
+            messageCount: data.conversationHistory?.length || 0
+          };
+        } catch (error) {
+          logger.warn('Skipping unreadable session file', { file, error: error.message });
+          return null;
+        }
+      })
+      .filter(Boolean)
+      // Files edited by hand may lack updatedAt; they are listed last
+      .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+  }
+
+  renameSession(id, name) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+      throw new Error('Session name cannot be empty');
+    }
+
+    if (this.currentSession?.id === id) {
+      this.currentSession.name = trimmed;
+      this.save();
+    } else {
+      const data = this.readSessionFile(id);
+      data.name = trimmed;
+      data.updatedAt = new Date().toISOString();
+      this.writeSessionFile(data);
+    }
+
+    logger.info('Session renamed', { id, name: trimmed });
+  }
+
+  switchSession(id) {
+    const data = this.readSessionFile(id);
+
+    this.currentSession = {
+      id: data.id,
+      name: data.name,
+      createdAt: data.createdAt,
+      updatedAt: data.updatedAt
+    };
+    // Sessions saved before entries had ids get them on load
+    this.conversationHistory = (data.conversationHistory || []).map(entry => ({ id: crypto.randomUUID(), ...entry }));
+    this.events = data.events || [];
+    this.canvas = data.canvas || [];
+    this.summary = data.summary || null;
+    this.usage = { ...emptyUsage(), ...data.usage };
+
+    logger.info('Session switched', { id, messageCount: this.conversationHistory.length });
+    return this.getCurrentSession();
+  }
+
+  deleteSession(id) {
+    fs.rmSync(this.getSessionPath(id), { force: true });
+    logger.info('Session deleted', { id });
+
+    // Never leave the manager without an active session
+    if (this.currentSession?.id === id) {
+      const remaining = this.listSessions();
+      if (remaining.length > 0) {
+        this.switchSession(remaining[0].id);
+      } else {
+        this.createSession();
+      }
+    }
+
+    return this.getCurrentSession();
+  }
+
+  getCurrentSession() {
+    return {
+      ...this.currentSession,
+      history: this.conversationHistory,
+      canvas: this.canvas,
+      usage: this.usage
+    };
+  }
+
+  save() {
+    if (!this.storageDir || !this.currentSession) return;
+
+    this.currentSession.updatedAt = new Date().toISOString();
+    try {
+      this.writeSessionFile({
+        ...this.currentSession,
+        conversationHistory: this.conversationHistory,
+        events: this.events,
+        canvas: this.canvas,
+        summary: this.summary,
+        usage: this.usage
+      });
+    } catch (error) {
+      logger.error('Failed to save session', { id: this.currentSession.id, error: error.message });
+    }
+  }
+
+  getSessionPath(id) {
+    // Session ids are generated UUIDs; reject anything that could escape the storage directory
+    if (!/^[\w-]+$/.test(id || '')) {
+      throw new Error(`Invalid session id: ${id}`);
+    }
+    return path.join(this.storageDir, `${id}.json`);
+  }
+
+  readSessionFile(id) {
+    const sessionPath = this.getSessionPath(id);
+    if (!fs.existsSync(sessionPath)) {
+      throw new Error(`Session not found: ${id}`);
+    }
+    return JSON.parse(fs.readFileSync(sessionPath, 'utf8'));
+  }
+
+  writeSessionFile(data) {
+    // Write to a temp file first so a crash mid-write never corrupts the session
+    const sessionPath = this.getSessionPath(data.id);
+    const tempPath = `${sessionPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, sessionPath);
+  }
+
   getMemoryUsage() {
     const size = JSON.stringify(this.conversationHistory).length;
     return {
@@ -0,0 +1,45 @@
+const logger = require('../core/logger').createServiceLogger('STREAM_MANAGER');
+
+// In-flight chat streams, at most one per window (webContents id). A new message is only
+// accepted once the previous stream has finished, so its reply (or cancelled partial
+// reply) is saved before the next user input
+class StreamManager {
+  constructor() {
+    this.streams = new Map(); // owner id -> AbortController
+  }
+
+  // AbortController for a new stream, or null while the owner still has one running
+  start(ownerId) {
+    if (this.streams.has(ownerId)) {
+      logger.warn('Stream refused, another one is still running', { ownerId });
+      return null;
+    }
+
+    const controller = new AbortController();
+    this.streams.set(ownerId, controller);
+    return controller;
+  }
+
+  // Called when the stream's handler is done (completed, failed or cancelled)
+  finish(ownerId, controller) {
+    if (this.streams.get(ownerId) === controller) {
+      this.streams.delete(ownerId);
+    }
+  }
+
+  // Returns false if the owner has no stream running
+  cancel(ownerId) {
+    const controller = this.streams.get(ownerId);
+    if (!controller) return false;
+
+    controller.abort();
+    return true;
+  }
+
+  // Streams write their reply into the current session, so they stop when it changes
+  cancelAll() {
+    this.streams.forEach(controller => controller.abort());
+  }
+}
+
+module.exports = new StreamManager();
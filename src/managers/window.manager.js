@@ -1,4 +1,4 @@
-const { BrowserWindow, screen } = require('electron');
+const { BrowserWindow, nativeTheme, screen, shell } = require('electron');
 const path = require('path');
 const logger = require('../core/logger').createServiceLogger('WINDOW_MANAGER');
 const config = require('../core/config');
@@ -8,6 +8,8 @@ class WindowManager {
     this.windows = new Map();
     this.isVisible = true;
     this.isInteractive = true;
+    this.settingsWindow = null;
+    this.regionSelect = null; // { window, data, resolve } while a region is being selected
   }
 
   async initializeWindows() {
@@ -52,6 +54,19 @@ class WindowManager {
       }
     });
 
+    // Links in rendered Markdown open in the default browser, never inside the chat window
+    const openExternally = (url) => {
+      if (/^https?:\/\//.test(url)) shell.openExternal(url);
+    };
+    window.webContents.setWindowOpenHandler(({ url }) => {
+      openExternally(url);
+      return { action: 'deny' };
+    });
+    window.webContents.on('will-navigate', (event, url) => {
+      event.preventDefault();
+      openExternally(url);
+    });
+
     window.loadFile('src/ui/visual-chat.html');
     // Show visual chat immediately on startup
     window.show();
@@ -61,6 +76,103 @@ class WindowManager {
     logger.info('Visual chat window created and shown');
   }
 
+  // Settings live in their own regular window, kept out of the overlay's
+  // visibility and click-through toggles
+  showSettings() {
+    if (this.settingsWindow && !this.settingsWindow.isDestroyed()) {
+      this.settingsWindow.show();
+      this.settingsWindow.focus();
+      return;
+    }
+
+    const window = new BrowserWindow({
+      ...config.get('windows.settings'),
+      show: false,
+      backgroundColor: nativeTheme.shouldUseDarkColors ? '#111111' : '#ffffff',
+      webPreferences: {
+        preload: path.join(__dirname, '../../preload.js'),
+        nodeIntegration: false,
+        contextIsolation: true
+      }
+    });
+
+    window.loadFile('src/ui/settings.html');
+    window.once('ready-to-show', () => window.show());
+    window.on('closed', () => {
+      this.settingsWindow = null;
+    });
+
+    this.settingsWindow = window;
+    logger.info('Settings window opened');
+  }
+
+  // Let the user select a region of a display (or one of the listed windows) on top of a
+  // screenshot of it. data: { screenshot, windows } for the selector page.
+  // Resolves to { type: 'region', rect } | { type: 'window', id } | { type: 'screen' }, or null if cancelled
+  selectScreenRegion(display, data) {
+    this.finishRegionSelect(null);
+
+    return new Promise((resolve) => {
+      const window = new BrowserWindow({
+        ...config.get('windows.regionSelect'),
+        ...display.bounds,
+        show: false,
+        webPreferences: {
+          preload: path.join(__dirname, '../../preload.js'),
+          nodeIntegration: false,
+          contextIsolation: true
+        }
+      });
+
+      window.setAlwaysOnTop(true, 'screen-saver');
+      window.loadFile('src/ui/region-select.html');
+      window.once('ready-to-show', () => {
+        window.show();
+        window.focus();
+      });
+      window.on('closed', () => this.finishRegionSelect(null));
+
+      this.regionSelect = { window, data, resolve };
+      logger.info('Region selector opened', { displayId: display.id });
+    });
+  }
+
+  getRegionSelectData() {
+    return this.regionSelect?.data || null;
+  }
+
+  finishRegionSelect(selection) {
+    if (!this.regionSelect) return;
+
+    const { window, resolve } = this.regionSelect;
+    this.regionSelect = null;
+    if (!window.isDestroyed()) {
+      window.destroy();
+    }
+    resolve(selection);
+  }
+
+  // 'dark', 'light' or 'system'; renderers follow it through prefers-color-scheme
+  applyTheme(theme) {
+    nativeTheme.themeSource = theme;
+    logger.info('Theme applied', { theme });
+  }
+
+  // Resize windows after their configured size changed
+  applyWindowSizes() {
+    const { width: maxWidth, height: maxHeight } = screen.getPrimaryDisplay().workAreaSize;
+
+    ['overlay', 'visualChat'].forEach(name => {
+      const window = this.windows.get(name);
+      if (!window || window.isDestroyed()) return;
+
+      const { width, height } = config.get(`windows.${name}`);
+      window.setSize(Math.min(width, maxWidth), Math.min(height, maxHeight));
+    });
+
+    logger.info('Window sizes applied');
+  }
+
   toggleVisibility() {
     this.isVisible = !this.isVisible;
     
@@ -103,21 +215,38 @@ class WindowManager {
     }
   }
 
+  // Run fn with the app's visible windows hidden (e.g. so a screenshot shows what is behind them)
+  async withWindowsHidden(fn) {
+    const hidden = [...this.windows.values(), this.settingsWindow]
+      .filter(window => window && !window.isDestroyed() && window.isVisible());
+    hidden.forEach(window => window.hide());
+
+    try {
+      // Give the compositor a moment to remove the windows from the screen
+      await new Promise(resolve => setTimeout(resolve, 200));
+      return await fn();
+    } finally {
+      hidden.forEach(window => window.showInactive());
+    }
+  }
+
   broadcastToAllWindows(channel, data) {
-    this.windows.forEach((window, name) => {
-      if (!window.isDestroyed()) {
+    [...this.windows.values(), this.settingsWindow].forEach(window => {
+      if (window && !window.isDestroyed()) {
         window.webContents.send(channel, data);
       }
     });
   }
 
   destroyAllWindows() {
-    this.windows.forEach((window, name) => {
-      if (!window.isDestroyed()) {
+    this.finishRegionSelect(null);
+    [...this.windows.values(), this.settingsWindow].forEach(window => {
+      if (window && !window.isDestroyed()) {
         window.destroy();
       }
     });
     this.windows.clear();
+    this.settingsWindow = null;
     logger.info('All windows destroyed');
   }
 
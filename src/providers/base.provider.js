@@ -0,0 +1,59 @@
+const httpClient = require('../core/http-client');
+
+/**
+ * Base class for LLM providers. A provider exposes an AI SDK chat model for
+ * streaming and the raw OpenAI-style endpoint used by the tool side-requests.
+ */
+class BaseProvider {
+  constructor({ name, apiKey, baseUrl }) {
+    this.name = name;
+    this.apiKey = apiKey;
+    this.baseUrl = (baseUrl || '').replace(/\/+$/, '');
+  }
+
+  // AI SDK language model for the given model id
+  chatModel(modelId) {
+    throw new Error(`${this.constructor.name} must implement chatModel()`);
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  // Raw OpenAI-style chat completion used by side-requests (diagram code, plain chat).
+  // options: { signal, timeout, responseType }
+  postChatCompletion(body, options = {}) {
+    return httpClient.post(this.chatCompletionsUrl, body, { ...options, headers: this.getHeaders() });
+  }
+
+  // Image generation goes through chat completions too (images come back on the message)
+  postImageRequest(body, options = {}) {
+    return this.postChatCompletion(body, options);
+  }
+
+  // Models offered by the endpoint (OpenAI-style GET /models):
+  // [{ id, name, contextLength, outputModalities }]; extra fields are provider-specific
+  async listModels(options = {}) {
+    const response = await httpClient.get(`${this.baseUrl}/models`, { ...options, headers: this.getHeaders() });
+    return (response.data?.data || []).map(model => ({
+      id: model.id,
+      name: model.name || model.id,
+      contextLength: model.context_length,
+      outputModalities: model.architecture?.output_modalities
+    }));
+  }
+
+  get chatCompletionsUrl() {
+    return `${this.baseUrl}/chat/completions`;
+  }
+
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+}
+
+module.exports = BaseProvider;
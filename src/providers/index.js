@@ -0,0 +1,46 @@
+const logger = require('../core/logger').createServiceLogger('PROVIDERS');
+const config = require('../core/config');
+const OpenRouterProvider = require('./openrouter.provider');
+const OpenAICompatibleProvider = require('./openai-compatible.provider');
+const ReplayProvider = require('./replay.provider');
+const RecordingProvider = require('./recording.provider');
+
+// Provider type -> implementation and its settings key in config.providers
+const registry = {
+  'openrouter': { Provider: OpenRouterProvider, configKey: 'openrouter' },
+  'openai-compatible': { Provider: OpenAICompatibleProvider, configKey: 'openaiCompatible' },
+  'replay': { Provider: ReplayProvider, configKey: 'replay' }
+};
+
+// One instance per type, shared by the services (replay position and recordings are per app)
+const instances = new Map();
+
+function createProvider(type = config.get('ai.provider')) {
+  if (instances.has(type)) {
+    return instances.get(type);
+  }
+
+  const entry = registry[type];
+  if (!entry) {
+    throw new Error(`Unknown AI provider "${type}". Expected one of: ${Object.keys(registry).join(', ')}`);
+  }
+
+  let provider = new entry.Provider(config.get(`providers.${entry.configKey}`));
+  logger.info('AI provider created', { type, baseUrl: provider.baseUrl });
+
+  // Record real responses into a replay fixture
+  const recordFile = config.get('ai.recordFile');
+  if (recordFile && type !== 'replay') {
+    provider = new RecordingProvider(provider, recordFile);
+  }
+
+  instances.set(type, provider);
+  return provider;
+}
+
+// Drop cached instances so the next createProvider() picks up changed settings
+function resetProviders() {
+  instances.clear();
+}
+
+module.exports = { createProvider, resetProviders, providerTypes: Object.keys(registry) };
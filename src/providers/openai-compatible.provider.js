@@ -0,0 +1,29 @@
+const { createOpenAICompatible } = require('@ai-sdk/openai-compatible');
+const BaseProvider = require('./base.provider');
+const httpClient = require('../core/http-client');
+
+// Any OpenAI-compatible endpoint: OpenAI itself, llama.cpp server, Ollama, LM Studio, vLLM...
+class OpenAICompatibleProvider extends BaseProvider {
+  constructor(settings) {
+    super({ ...settings, name: settings.name || 'openai-compatible' });
+
+    this.client = createOpenAICompatible({
+      name: this.name,
+      apiKey: this.apiKey,
+      baseURL: this.baseUrl,
+      fetch: (url, init) => httpClient.fetch(url, init),
+      includeUsage: true
+    });
+  }
+
+  chatModel(modelId) {
+    return this.client.chatModel(modelId);
+  }
+
+  // Local servers usually run without an API key
+  isConfigured() {
+    return !!this.baseUrl;
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,34 @@
+const { createOpenRouter } = require('@openrouter/ai-sdk-provider');
+const BaseProvider = require('./base.provider');
+const httpClient = require('../core/http-client');
+
+class OpenRouterProvider extends BaseProvider {
+  constructor(settings) {
+    super({ name: 'openrouter', ...settings });
+
+    this.client = createOpenRouter({
+      apiKey: this.apiKey,
+      baseURL: this.baseUrl,
+      fetch: (url, init) => httpClient.fetch(url, init)
+    });
+  }
+
+  // Usage accounting makes OpenRouter report the cost of every call
+  chatModel(modelId) {
+    return this.client.chat(modelId, { usage: { include: true } });
+  }
+
+  postChatCompletion(body, options = {}) {
+    return super.postChatCompletion({ ...body, usage: { include: true } }, options);
+  }
+
+  getHeaders() {
+    return {
+      ...super.getHeaders(),
+      'HTTP-Referer': process.env.SITE_URL || 'https://jarvis',
+      'X-Title': 'Jarvis'
+    };
+  }
+}
+
+module.exports = OpenRouterProvider;
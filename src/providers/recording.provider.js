@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../core/logger').createServiceLogger('RECORDER');
+const imageCache = require('../services/image-cache.service');
+const { loadFixture, saveFixture, getLastUserText, toFixtureError } = require('./replay-fixture');
+
+// Wraps a real provider and appends everything it returns to a replay fixture:
+// streamed turns (text, tool calls, errors) and side-request completions/images.
+// The file is rewritten after every response so a crash loses at most one turn.
+class RecordingProvider {
+  constructor(provider, filePath) {
+    this.provider = provider;
+    this.name = provider.name;
+    this.apiKey = provider.apiKey;
+    this.baseUrl = provider.baseUrl;
+    this.filePath = path.resolve(filePath);
+    this.assetsDir = path.join(path.dirname(this.filePath), `${path.basename(this.filePath, '.json')}-assets`);
+    this.fixture = fs.existsSync(this.filePath)
+      ? loadFixture(this.filePath)
+      : { chunkDelayMs: 30, turns: [], completions: [] };
+
+    logger.info('Recording provider responses', { provider: provider.name, file: this.filePath });
+  }
+
+  isConfigured() {
+    return this.provider.isConfigured();
+  }
+
+  get chatCompletionsUrl() {
+    return this.provider.chatCompletionsUrl;
+  }
+
+  getHeaders() {
+    return this.provider.getHeaders();
+  }
+
+  listModels(options) {
+    return this.provider.listModels(options);
+  }
+
+  chatModel(modelId) {
+    const model = this.provider.chatModel(modelId);
+    return {
+      specificationVersion: model.specificationVersion,
+      provider: model.provider,
+      modelId: model.modelId,
+      get supportedUrls() {
+        return model.supportedUrls;
+      },
+      doGenerate: async (options) => {
+        const result = await model.doGenerate(options);
+        const content = result.content.filter(part => part.type === 'text').map(part => part.text).join('');
+        this.addCompletion({ match: getLastUserText(options.prompt), content });
+        return result;
+      },
+      doStream: async (options) => {
+        const result = await model.doStream(options);
+        return { ...result, stream: result.stream.pipeThrough(this.captureTurn(getLastUserText(options.prompt))) };
+      }
+    };
+  }
+
+  // Pass stream parts through unchanged while collecting them as fixture items
+  captureTurn(userText) {
+    const stream = [];
+    return new TransformStream({
+      transform: (part, controller) => {
+        if (part.type === 'text-delta') {
+          stream.push({ type: 'text', text: part.delta });
+        } else if (part.type === 'tool-call') {
+          stream.push({ type: 'tool-call', toolName: part.toolName, input: JSON.parse(part.input || '{}') });
+        } else if (part.type === 'error') {
+          stream.push({ type: 'error', ...toFixtureError(part.error) });
+        }
+        controller.enqueue(part);
+      },
+      flush: () => {
+        this.fixture.turns.push({ match: userText, stream });
+        this.save();
+      }
+    });
+  }
+
+  async postChatCompletion(body, options = {}) {
+    const match = getLastUserText(body.messages);
+    try {
+      const response = await this.provider.postChatCompletion(body, options);
+      // Streamed plain chat is not captured; the fixture keeps completed responses only
+      if (options.responseType !== 'stream') {
+        this.addCompletion({ match, content: response.data.choices?.[0]?.message?.content || '' });
+      }
+      return response;
+    } catch (error) {
+      this.addCompletion({ match, error: toFixtureError(error) });
+      throw error;
+    }
+  }
+
+  async postImageRequest(body, options = {}) {
+    const match = getLastUserText(body.messages);
+    try {
+      const response = await this.provider.postImageRequest(body, options);
+      const image = response.data.choices?.[0]?.message?.images?.[0];
+      const imageUrl = image?.image_url?.url || image;
+      if (typeof imageUrl === 'string') {
+        this.addCompletion({ match, image: await this.saveImage(imageUrl) });
+      }
+      return response;
+    } catch (error) {
+      this.addCompletion({ match, error: toFixtureError(error) });
+      throw error;
+    }
+  }
+
+  // Images are stored next to the fixture and referenced by relative path
+  async saveImage(imageUrl) {
+    try {
+      const { buffer, mimeType } = await imageCache.fetchImage(imageUrl);
+      const extension = (mimeType.split('/')[1] || 'png').replace('svg+xml', 'svg').replace('jpeg', 'jpg');
+      const fileName = `image-${this.fixture.completions.length + 1}.${extension}`;
+      fs.mkdirSync(this.assetsDir, { recursive: true });
+      fs.writeFileSync(path.join(this.assetsDir, fileName), buffer);
+      return `${path.basename(this.assetsDir)}/${fileName}`;
+    } catch (error) {
+      logger.warn('Could not save recorded image, keeping its URL', { error: error.message });
+      return imageUrl;
+    }
+  }
+
+  addCompletion(completion) {
+    this.fixture.completions.push(completion);
+    this.save();
+  }
+
+  save() {
+    try {
+      saveFixture(this.filePath, this.fixture);
+    } catch (error) {
+      logger.error('Failed to write recording', { file: this.filePath, error: error.message });
+    }
+  }
+}
+
+module.exports = RecordingProvider;
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const { APICallError } = require('ai');
+const { TimeoutError, classifyError } = require('../core/errors');
+
+/*
+ * Replay fixture format (JSON):
+ * {
+ *   "chunkDelayMs": 30,                  // pause between streamed parts
+ *   "models": [{ "id": "demo/model", "name": "Demo" }],   // optional: offered by the model picker
+ *   "turns": [                           // one per send-chat-stream call
+ *     {
+ *       "match": "diagram",              // optional: used when the user message contains this text
+ *       "stream": [
+ *         { "type": "text", "text": "Here is " },
+ *         { "type": "tool-call", "toolName": "generateMermaidDiagram", "input": { "description": "..." } },
+ *         { "type": "error", "status": 429, "message": "Rate limited", "retryAfter": 5 }
+ *       ]
+ *     }
+ *   ],
+ *   "completions": [                     // side-requests: diagram code, images, summaries, plain chat
+ *     { "match": "mermaid diagram for", "content": "graph TD\n  A --> B" },
+ *     { "match": "sunset", "image": "assets/sunset.png" },       // file next to the fixture, or a URL
+ *     { "match": "forbidden", "error": { "status": 403, "message": "Input was flagged" } }
+ *   ]
+ * }
+ * "match" is compared (case-insensitively) with the newest user message of the request.
+ * A turn whose "match" appears in the message is served first, otherwise the turns
+ * without "match" play in order (wrapping around). Completions are checked in order and an entry without
+ * "match" matches any request.
+ * Errors: { "status", "message", "retryAfter" } or { "code": "timeout" }.
+ */
+
+const IMAGE_MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml'
+};
+
+function loadFixture(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Replay fixture not found: ${filePath}`);
+  }
+  const fixture = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return {
+    chunkDelayMs: fixture.chunkDelayMs ?? 30,
+    models: fixture.models,
+    turns: fixture.turns || [],
+    completions: fixture.completions || []
+  };
+}
+
+function saveFixture(filePath, fixture) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(fixture, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+function matches(pattern, text) {
+  return !pattern || text.toLowerCase().includes(pattern.toLowerCase());
+}
+
+// Text of the newest user message in an OpenAI-style or AI SDK prompt
+function getLastUserText(messages = []) {
+  const message = [...messages].reverse().find(entry => entry.role === 'user');
+  if (!message) return '';
+  if (typeof message.content === 'string') return message.content;
+  return message.content
+    .filter(part => part.type === 'text')
+    .map(part => part.text)
+    .join('\n');
+}
+
+// Fixture image reference -> URL the image cache can store
+function resolveImage(image, fixtureDir) {
+  if (/^(data:|https?:)/.test(image)) return image;
+
+  const filePath = path.resolve(fixtureDir, image);
+  const mimeType = IMAGE_MIME_TYPES[path.extname(filePath).toLowerCase()] || 'image/png';
+  return `data:${mimeType};base64,${fs.readFileSync(filePath).toString('base64')}`;
+}
+
+// Fixture error spec -> the typed error a real request would have produced
+function fromFixtureError(spec) {
+  if (spec.code === 'timeout') {
+    return new TimeoutError({ timeoutMs: spec.timeoutMs || 30000, detail: 'Replayed timeout' });
+  }
+  return classifyError(new APICallError({
+    message: spec.message || 'Replayed error',
+    url: 'replay://fixture',
+    requestBodyValues: {},
+    statusCode: spec.status,
+    responseHeaders: spec.retryAfter ? { 'retry-after': String(spec.retryAfter) } : {},
+    responseBody: JSON.stringify({ error: { message: spec.message } })
+  }));
+}
+
+// Error thrown by a real request -> fixture error spec
+function toFixtureError(error) {
+  const typed = classifyError(error) || error;
+  if (typed.code === 'timeout') return { code: 'timeout' };
+  return {
+    status: typed.status,
+    message: typed.detail || typed.message,
+    retryAfter: typed.retryAfterMs ? Math.ceil(typed.retryAfterMs / 1000) : undefined
+  };
+}
+
+module.exports = {
+  loadFixture,
+  saveFixture,
+  matches,
+  getLastUserText,
+  resolveImage,
+  fromFixtureError,
+  toFixtureError
+};
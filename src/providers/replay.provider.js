@@ -0,0 +1,185 @@
+const path = require('path');
+const { Readable } = require('stream');
+const logger = require('../core/logger').createServiceLogger('REPLAY');
+const BaseProvider = require('./base.provider');
+const { loadFixture, matches, getLastUserText, resolveImage, fromFixtureError } = require('./replay-fixture');
+
+// Offline provider serving scripted or recorded responses from a fixture file
+// (see replay-fixture.js for the format). Streamed turns drive the AI SDK like a
+// real model, so tools, backfill and cancellation behave as they do online.
+class ReplayProvider extends BaseProvider {
+  constructor(settings) {
+    super({ name: 'replay', baseUrl: 'replay://fixture' });
+
+    this.fixturePath = path.resolve(settings.fixture);
+    this.fixture = loadFixture(this.fixturePath);
+    this.chunkDelayMs = settings.chunkDelayMs ?? this.fixture.chunkDelayMs;
+    this.turnCursor = 0;
+
+    logger.info('Replay fixture loaded', {
+      fixture: this.fixturePath,
+      turns: this.fixture.turns.length,
+      completions: this.fixture.completions.length
+    });
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  chatModel(modelId) {
+    return {
+      specificationVersion: 'v2',
+      provider: 'replay',
+      modelId,
+      supportedUrls: {},
+      doGenerate: (options) => this.doGenerate(options),
+      doStream: (options) => this.doStream(options)
+    };
+  }
+
+  async doGenerate({ prompt }) {
+    const text = this.getCompletion(getLastUserText(prompt)).content || '';
+    return {
+      content: [{ type: 'text', text }],
+      finishReason: 'stop',
+      usage: { inputTokens: 0, outputTokens: 0, totalTokens: 0 },
+      warnings: []
+    };
+  }
+
+  async doStream({ prompt, abortSignal }) {
+    const turn = this.nextTurn(getLastUserText(prompt));
+    const parts = this.toStreamParts(turn.stream || []);
+    const delay = this.chunkDelayMs;
+
+    const stream = new ReadableStream({
+      async pull(controller) {
+        const part = parts.shift();
+        if (!part) {
+          controller.close();
+          return;
+        }
+        if (delay && part.type !== 'stream-start') {
+          await new Promise(resolve => setTimeout(resolve, delay));
+        }
+        if (abortSignal?.aborted) {
+          controller.error(abortSignal.reason);
+          return;
+        }
+        controller.enqueue(part);
+      }
+    });
+
+    return { stream };
+  }
+
+  // Fixture stream items -> AI SDK language model stream parts
+  toStreamParts(items) {
+    const parts = [{ type: 'stream-start', warnings: [] }];
+    let textId = null;
+    let hasToolCalls = false;
+
+    const endText = () => {
+      if (textId) parts.push({ type: 'text-end', id: textId });
+      textId = null;
+    };
+
+    items.forEach((item, index) => {
+      if (item.type === 'text') {
+        if (!textId) {
+          textId = `text-${index}`;
+          parts.push({ type: 'text-start', id: textId });
+        }
+        parts.push({ type: 'text-delta', id: textId, delta: item.text });
+      } else if (item.type === 'tool-call') {
+        endText();
+        hasToolCalls = true;
+        parts.push({
+          type: 'tool-call',
+          toolCallId: item.toolCallId || `replay-${this.turnCursor}-${index}`,
+          toolName: item.toolName,
+          input: JSON.stringify(item.input || {})
+        });
+      } else if (item.type === 'error') {
+        endText();
+        parts.push({ type: 'error', error: fromFixtureError(item) });
+      }
+    });
+
+    endText();
+    parts.push({
+      type: 'finish',
+      finishReason: hasToolCalls ? 'tool-calls' : 'stop',
+      usage: { inputTokens: 0, outputTokens: 0, totalTokens: 0 }
+    });
+    return parts;
+  }
+
+  // A turn whose "match" appears in the message wins; otherwise the turns without a
+  // "match" play in order (all turns, for recordings where every turn has one)
+  nextTurn(userText) {
+    const matched = this.fixture.turns.find(turn => turn.match && matches(turn.match, userText));
+    if (matched) return matched;
+
+    const unmatched = this.fixture.turns.filter(turn => !turn.match);
+    const turns = unmatched.length > 0 ? unmatched : this.fixture.turns;
+    if (turns.length === 0) {
+      logger.warn('No replay turns in fixture', { fixture: this.fixturePath });
+      return { stream: [{ type: 'text', text: 'No replay response recorded for this message.' }] };
+    }
+    return turns[this.turnCursor++ % turns.length];
+  }
+
+  // The fixture can list models for the picker; otherwise one placeholder model
+  async listModels() {
+    return this.fixture.models || [{ id: 'replay', name: 'Replay fixture' }];
+  }
+
+  // Entries with "image" only answer image requests, entries with "content" only text requests
+  getCompletion(requestText, { image = false } = {}) {
+    const completion = this.fixture.completions.find(entry =>
+      (entry.error || !!entry.image === image) && matches(entry.match, requestText)
+    );
+    if (!completion) {
+      throw fromFixtureError({ status: 404, message: `No replay completion matches: ${requestText.substring(0, 80)}` });
+    }
+    if (completion.error) {
+      throw fromFixtureError(completion.error);
+    }
+    return completion;
+  }
+
+  async postChatCompletion(body, options = {}) {
+    const completion = this.getCompletion(getLastUserText(body.messages));
+    const content = completion.content || '';
+
+    // Plain streaming chat expects server-sent events
+    if (options.responseType === 'stream') {
+      const events = [
+        `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`,
+        'data: [DONE]\n\n'
+      ];
+      return { status: 200, data: Readable.from(events) };
+    }
+
+    return {
+      status: 200,
+      data: { model: body.model, choices: [{ finish_reason: 'stop', message: { role: 'assistant', content } }] }
+    };
+  }
+
+  async postImageRequest(body) {
+    const completion = this.getCompletion(getLastUserText(body.messages), { image: true });
+    const images = completion.image
+      ? [{ type: 'image_url', image_url: { url: resolveImage(completion.image, path.dirname(this.fixturePath)) } }]
+      : [];
+
+    return {
+      status: 200,
+      data: { model: body.model, choices: [{ finish_reason: 'stop', message: { role: 'assistant', content: completion.content || '', images } }] }
+    };
+  }
+}
+
+module.exports = ReplayProvider;
@@ -1,25 +1,36 @@
-const { createOpenRouter } = require('@openrouter/ai-sdk-provider');
-const { streamText, tool } = require('ai');
+const { generateText, streamText, tool, stepCountIs } = require('ai');
 const { z } = require('zod');
 const logger = require('../core/logger').createServiceLogger('AI_SERVICE');
 const config = require('../core/config');
-const axios = require('axios');
+const { createProvider } = require('../providers');
+const { getOutputPolicy } = require('../core/output-policy');
+const { toUserContent, toModelMessages } = require('../core/history-messages');
+const generationService = require('./generation.service');
+const imageCache = require('./image-cache.service');
+const { classifyError } = require('../core/errors');
+const { createUsageRecord } = require('../core/usage');
+
+// Options for generation side-requests made by a tool: the stream's abort signal, and the
+// usage callback and chat model of the message passed to streamText as experimental_context
+function sideRequestOptions({ abortSignal, experimental_context: context } = {}) {
+  return { abortSignal, onUsage: context?.onUsage, modelId: context?.modelId };
+}
 
 class AIService {
   constructor() {
-    this.apiKey = config.get('openrouter.apiKey');
-    this.modelId = config.get('openrouter.model');
-    this.imageModel = config.get('openrouter.imageModel');
+    this.configure();
+  }
+
+  // (Re)build the model from the current provider and model settings
+  configure() {
+    this.provider = createProvider();
+    this.modelId = config.get('ai.model');
     
-    if (!this.apiKey) {
-      logger.warn('OpenRouter API key not configured');
+    if (!this.provider.isConfigured()) {
+      logger.warn('AI provider not configured', { provider: this.provider.name });
     }
 
-    this.openrouter = createOpenRouter({
-      apiKey: this.apiKey,
-    });
-
-    this.model = this.openrouter.chat(this.modelId);
+    this.model = this.provider.chatModel(this.modelId);
   }
 
   // Tool: Generate Text
@@ -51,42 +62,16 @@ class AIService {
         positionX: z.number().min(0).max(100).optional().describe('Horizontal position as percentage (0-100)'),
         positionY: z.number().min(0).max(100).optional().describe('Vertical position as percentage (0-100)'),
       }),
-      execute: async ({ description, positionX, positionY }) => {
+      execute: async ({ description, positionX, positionY }, options) => {
         logger.info('Generate mermaid diagram tool called', { description, positionX, positionY });
-        
-        // Use AI to generate mermaid code
-        const diagramPrompt = `Generate a mermaid diagram for: ${description}\n\nReturn ONLY the mermaid code without any markdown code blocks or explanations. Start directly with 'graph', 'sequenceDiagram', 'flowchart', etc.`;
-        
-        try {
-          const response = await axios.post(
-            `${config.get('openrouter.baseUrl')}/chat/completions`,
-            {
-              model: this.modelId,
-              messages: [
-                { role: 'user', content: diagramPrompt }
-              ],
-            },
-            {
-              headers: {
-                'Authorization': `Bearer ${this.apiKey}`,
-                'Content-Type': 'application/json'
-              }
-            }
-          );
-
-          let mermaidCode = response.data.choices[0].message.content.trim();
-          // Remove markdown code blocks if present
-          mermaidCode = mermaidCode.replace(/```mermaid\n?/g, '').replace(/```\n?/g, '').trim();
-
-          return {
-            type: 'mermaid',
-            content: mermaidCode,
-            position: { x: positionX ?? 50, y: positionY ?? 50 },
-          };
-        } catch (error) {
-          logger.error('Mermaid generation failed', { error: error.message });
-          throw error;
-        }
+        const { content, validation } = await generationService.generateDiagram(description, sideRequestOptions(options));
+
+        return {
+          type: 'mermaid',
+          content,
+          position: { x: positionX ?? 50, y: positionY ?? 50 },
+          validation,
+        };
       },
     });
   }
@@ -100,111 +85,174 @@ class AIService {
         positionX: z.number().min(0).max(100).optional().describe('Horizontal position as percentage (0-100)'),
         positionY: z.number().min(0).max(100).optional().describe('Vertical position as percentage (0-100)'),
       }),
-      execute: async ({ prompt, positionX, positionY }) => {
+      execute: async ({ prompt, positionX, positionY }, options) => {
         logger.info('Generate image tool called', { prompt, positionX, positionY });
-        
-        try {
-          // Use Gemini 2.5 Flash Image model from .env (exactly like reference repo)
-          const MODEL_NAME = this.imageModel || 'google/gemini-2.5-flash-image';
-          const OPENROUTER_API_URL = `${config.get('openrouter.baseUrl')}/chat/completions`;
-          const MAX_PROCESSING_TIME = 60000; // 60 seconds timeout
-          
-          // Prepare message content with text prompt (matching reference repo format exactly)
-          const messageContent = [
-            {
-              type: 'text',
-              text: prompt
-            }
-          ];
-
-          logger.info('Making request to OpenRouter API', { url: OPENROUTER_API_URL, model: MODEL_NAME });
-          
-          const response = await axios.post(
-            OPENROUTER_API_URL,
-            {
-              model: MODEL_NAME,
-              messages: [
-                {
-                  role: 'user',
-                  content: messageContent
-                }
-              ],
-              timeout: MAX_PROCESSING_TIME
-            },
-            {
-              headers: {
-                'Authorization': `Bearer ${this.apiKey}`,
-                'Content-Type': 'application/json',
-                'HTTP-Referer': process.env.SITE_URL || 'https://jarvis',
-                'X-Title': 'Jarvis'
-              }
-            }
-          );
-
-          logger.info('OpenRouter API Response received', { status: response.status });
-
-          // Extract the response according to OpenRouter/Gemini format (exactly like reference repo)
-          const choice = response.data.choices?.[0];
-          const message = choice?.message;
-          const finishReason = choice?.finish_reason;
-          const generatedImages = message?.images || [];
-          const generatedContent = message?.content;
-
-          logger.info('Response parsed', { 
-            finishReason, 
-            imagesCount: generatedImages.length,
-            hasContent: !!generatedContent 
-          });
-
-          // Check if the response completed successfully
-          if (!finishReason || !['stop', 'length', 'content_filter'].includes(finishReason)) {
-            logger.error('Generation incomplete', { finishReason });
-            throw new Error(`AI generation incomplete. Reason: ${finishReason || 'unknown'}`);
-          }
-
-          // Check if we got generated images (matching reference repo logic)
-          if (generatedImages.length > 0) {
-            logger.info(`Found ${generatedImages.length} generated image(s)`);
-            
-            // Get the first generated image (exactly like reference repo)
-            const firstImage = generatedImages[0];
-            const imageUrl = firstImage.image_url?.url || firstImage;
-            
-            if (!imageUrl) {
-              logger.error('Generated image data is invalid or missing', { firstImage });
-              throw new Error('Generated image data is invalid or missing');
-            }
-
-            logger.info('Image generated successfully', { url: imageUrl.substring(0, 50) + '...' });
-
-            return {
-              type: 'image',
-              content: imageUrl,
-              position: { x: positionX ?? 50, y: positionY ?? 50 },
-            };
-          }
-
-          // If no images but there's text content
-          if (generatedContent) {
-            logger.warn('No images generated, only text content returned', { content: generatedContent.substring(0, 200) });
-            throw new Error('AI model returned text instead of generating an image');
-          }
-
-          // No images and no content
-          logger.error('No images or content generated', { response: response.data });
-          throw new Error('AI model did not generate any content');
-        } catch (error) {
-          logger.error('Image generation failed', { 
-            error: error.message, 
-            response: error.response?.data,
-            status: error.response?.status
-          });
-          throw error;
-        }
+        const imageUrl = await generationService.generateImage(prompt, sideRequestOptions(options));
+
+        return {
+          type: 'image',
+          content: imageUrl,
+          position: { x: positionX ?? 50, y: positionY ?? 50 },
+        };
+      },
+    });
+  }
+
+  // Tool: Generate Chart (rendered with Chart.js in the interface)
+  generateChartTool() {
+    return tool({
+      description: 'Generate a bar, line or pie chart from numeric data. Use this when the answer involves quantities that are easier to compare visually.',
+      inputSchema: z.object({
+        chartType: z.enum(['bar', 'line', 'pie']).describe('Kind of chart'),
+        title: z.string().optional().describe('Chart title'),
+        labels: z.array(z.string()).min(1).describe('Category labels (the x axis, or the slices of a pie chart)'),
+        datasets: z.array(z.object({
+          label: z.string().describe('Name of the data series'),
+          data: z.array(z.number()).describe('One value per label'),
+        })).min(1).describe('Data series to plot; pie charts show the first one'),
+        positionX: z.number().min(0).max(100).optional().describe('Horizontal position as percentage (0-100)'),
+        positionY: z.number().min(0).max(100).optional().describe('Vertical position as percentage (0-100)'),
+      }).refine(({ labels, datasets }) => datasets.every(dataset => dataset.data.length === labels.length), {
+        message: 'Every dataset needs exactly one value per label',
+        path: ['datasets'],
+      }),
+      execute: async ({ chartType, title, labels, datasets, positionX, positionY }) => {
+        logger.info('Generate chart tool called', { chartType, labels: labels.length, datasets: datasets.length, positionX, positionY });
+        return {
+          type: 'chart',
+          content: { chartType, title, labels, datasets },
+          position: { x: positionX ?? 50, y: positionY ?? 50 },
+        };
+      },
+    });
+  }
+
+  // Tool: Generate Table
+  generateTableTool() {
+    return tool({
+      description: 'Generate a table of structured data with named columns. Use this for comparisons, specifications or any data with rows and columns.',
+      inputSchema: z.object({
+        title: z.string().optional().describe('Table caption'),
+        columns: z.array(z.string()).min(1).describe('Column headers'),
+        rows: z.array(z.array(z.union([z.string(), z.number()]))).min(1).describe('Rows of cells, one cell per column'),
+        positionX: z.number().min(0).max(100).optional().describe('Horizontal position as percentage (0-100)'),
+        positionY: z.number().min(0).max(100).optional().describe('Vertical position as percentage (0-100)'),
+      }).refine(({ columns, rows }) => rows.every(row => row.length === columns.length), {
+        message: 'Every row needs exactly one cell per column',
+        path: ['rows'],
+      }),
+      execute: async ({ title, columns, rows, positionX, positionY }) => {
+        logger.info('Generate table tool called', { columns: columns.length, rows: rows.length, positionX, positionY });
+        return {
+          type: 'table',
+          content: { title, columns, rows: rows.map(row => row.map(String)) },
+          position: { x: positionX ?? 50, y: positionY ?? 50 },
+        };
+      },
+    });
+  }
+
+  // Tool: Generate Code
+  generateCodeTool() {
+    return tool({
+      description: 'Show a syntax-highlighted code snippet. Use this for code the user may want to read or copy, instead of putting it in generateText.',
+      inputSchema: z.object({
+        language: z.string().describe('Programming language for highlighting, e.g. javascript, python, sql, bash'),
+        code: z.string().min(1).describe('The code, without Markdown fences'),
+        title: z.string().optional().describe('Short caption, e.g. a file name'),
+        positionX: z.number().min(0).max(100).optional().describe('Horizontal position as percentage (0-100)'),
+        positionY: z.number().min(0).max(100).optional().describe('Vertical position as percentage (0-100)'),
+      }),
+      execute: async ({ language, code, title, positionX, positionY }) => {
+        logger.info('Generate code tool called', { language, codeLength: code.length, positionX, positionY });
+        return {
+          type: 'code',
+          content: { language: language.trim().toLowerCase(), code, title },
+          position: { x: positionX ?? 50, y: positionY ?? 50 },
+        };
+      },
+    });
+  }
+
+  // Tool: Generate Timeline
+  generateTimelineTool() {
+    return tool({
+      description: 'Generate a timeline of events in chronological order. Use this for histories, schedules, roadmaps or step-by-step sequences over time.',
+      inputSchema: z.object({
+        title: z.string().optional().describe('Timeline title'),
+        events: z.array(z.object({
+          date: z.string().describe('When it happened or happens, e.g. "1969", "Q3 2024", "Day 2"'),
+          title: z.string().describe('Short name of the event'),
+          description: z.string().optional().describe('One or two sentences of detail'),
+        })).min(1).describe('Events in chronological order'),
+        positionX: z.number().min(0).max(100).optional().describe('Horizontal position as percentage (0-100)'),
+        positionY: z.number().min(0).max(100).optional().describe('Vertical position as percentage (0-100)'),
+      }),
+      execute: async ({ title, events, positionX, positionY }) => {
+        logger.info('Generate timeline tool called', { events: events.length, positionX, positionY });
+        return {
+          type: 'timeline',
+          content: { title, events },
+          position: { x: positionX ?? 50, y: positionY ?? 50 },
+        };
+      },
+    });
+  }
+
+  // Tool: Edit the diagram the user selected on the canvas
+  editMermaidDiagramTool(element) {
+    return tool({
+      description: 'Modify the Mermaid diagram the user selected. Returns the updated mermaid code, which replaces the diagram in place.',
+      inputSchema: z.object({
+        instruction: z.string().describe('The changes to make to the diagram'),
+      }),
+      execute: async ({ instruction }, options) => {
+        logger.info('Edit mermaid diagram tool called', { elementId: element.id, instruction });
+        const { content, validation } = await generationService.editDiagram(element.content, instruction, sideRequestOptions(options));
+
+        return {
+          type: 'mermaid',
+          elementId: element.id,
+          instruction,
+          content,
+          validation,
+        };
+      },
+    });
+  }
+
+  // Tool: Edit the image the user selected, passing it to the image model as input
+  editImageTool(element) {
+    return tool({
+      description: 'Modify the image the user selected. The current image is given to the image model together with the instruction; the result replaces the image in place.',
+      inputSchema: z.object({
+        instruction: z.string().describe('The changes to make to the image'),
+      }),
+      execute: async ({ instruction }, options) => {
+        logger.info('Edit image tool called', { elementId: element.id, instruction });
+        const imageUrl = await generationService.editImage(element.content, instruction, sideRequestOptions(options));
+
+        return {
+          type: 'image',
+          elementId: element.id,
+          instruction,
+          content: imageUrl,
+        };
       },
     });
   }
 
+  // Edit tool for a selected canvas element, keyed by tool name
+  getEditTools(element) {
+    if (element.type === 'mermaid') {
+      return { editMermaidDiagram: this.editMermaidDiagramTool(element) };
+    }
+    if (element.type === 'image') {
+      return { editImage: this.editImageTool(element) };
+    }
+    throw new Error(`Elements of type ${element.type} cannot be edited`);
+  }
+
   // Tool: Generate Layout
   generateLayoutTool() {
     return tool({
@@ -236,51 +284,118 @@ class AIService {
       generateText: this.generateTextTool(),
       generateMermaidDiagram: this.generateMermaidDiagramTool(),
       generateImage: this.generateImageTool(),
+      generateChart: this.generateChartTool(),
+      generateTable: this.generateTableTool(),
+      generateCode: this.generateCodeTool(),
+      generateTimeline: this.generateTimelineTool(),
       generateLayout: this.generateLayoutTool(),
     };
   }
 
-  // Stream chat with tools
-  async *streamChat(message, history = []) {
+  // Condense older turns (and the previous summary) into a short rolling summary
+  async summarizeConversation(previousSummary, entries, { onUsage } = {}) {
+    const transcript = entries
+      .map(entry => `${entry.role === 'user' ? 'User' : 'Assistant'}: ${entry.content}`)
+      .join('\n\n');
+
+    const { text, usage, providerMetadata } = await generateText({
+      model: this.model,
+      system: 'You maintain a running summary of a conversation between a user and the Jarvis assistant. Keep facts, decisions, names, open questions and anything the user may refer back to. Be concise and write in plain prose.',
+      prompt: `${previousSummary ? `Current summary:\n${previousSummary}\n\n` : ''}New turns to fold into the summary:\n${transcript}\n\nReturn the updated summary only.`,
+      maxOutputTokens: config.get('session.summaryMaxTokens'),
+      maxRetries: config.get('http.maxRetries'),
+    });
+
+    onUsage?.(createUsageRecord('summary', this.modelId, { ...usage, cost: providerMetadata?.openrouter?.usage?.cost }));
+    logger.info('Conversation summarized', { entries: entries.length, summaryLength: text.length });
+    return text.trim();
+  }
+
+  // AI SDK image part for an image attached to a message, or null if it left the cache
+  loadAttachedImage(attachment) {
+    try {
+      const { buffer, mimeType } = imageCache.read(attachment.url);
+      return { type: 'image', image: buffer, mediaType: mimeType };
+    } catch (error) {
+      logger.warn('Attached image is no longer available', { url: attachment.url });
+      return null;
+    }
+  }
+
+  getEditInstructions(element) {
+    if (element.type === 'mermaid') {
+      return `The user selected a diagram on the screen and wants it changed. Call editMermaidDiagram with a precise instruction describing the requested changes, then briefly confirm what you changed.
+
+Current Mermaid source of the selected diagram:
+${element.content}`;
+    }
+    return `The user selected an image on the screen and wants it changed. Call editImage with a precise instruction describing the requested changes, then briefly confirm what you changed.`;
+  }
+
+  // Stream chat with tools (pass an abortSignal to allow cancellation)
+  // summary: rolling summary of turns that no longer fit in history
+  // editElement: canvas element ({ id, type, content }) the user selected for changes;
+  // only its edit tool is offered and the output policy does not apply
+  // modelId: chat model for this message only (defaults to the configured model)
+  // onUsage: receives a usage record for every generation request tools make
+  // (the chat's own usage arrives on 'step-finish' chunks)
+  // attachments: images and files sent with the message (see attachment.service.js)
+  async *streamChat(message, history = [], { abortSignal, outputPolicy, summary, editElement, modelId, onUsage, attachments = [] } = {}) {
     try {
-      const tools = this.getTools();
+      const policy = getOutputPolicy(outputPolicy);
+      const allTools = this.getTools();
+      const tools = editElement
+        ? this.getEditTools(editElement)
+        : Object.fromEntries(policy.tools.map(name => [name, allTools[name]]));
       
+      // Earlier tool calls are replayed so the model can build on its own diagrams and images,
+      // and earlier attachments so it can refer back to them
+      const loadImage = attachment => this.loadAttachedImage(attachment);
       const messages = [
-        ...history.map(h => ({ role: h.role, content: h.content })),
-        { role: 'user', content: message }
+        ...toModelMessages(history, { loadImage }),
+        { role: 'user', content: attachments.length > 0 ? toUserContent(message, attachments, loadImage) : message }
       ];
 
-      const systemPrompt = `You are Jarvis, an advanced AI assistant with a futuristic interface. 
+      const toolDescriptions = {
+        generateText: 'generateText: Generate formatted text content',
+        generateMermaidDiagram: 'generateMermaidDiagram: Generate a Mermaid diagram code',
+        generateImage: 'generateImage: Generate an image based on a prompt',
+        generateChart: 'generateChart: Plot numeric data as a bar, line or pie chart',
+        generateTable: 'generateTable: Show structured data as a table',
+        generateCode: 'generateCode: Show a syntax-highlighted code snippet',
+        generateTimeline: 'generateTimeline: Show events in chronological order',
+        generateLayout: 'generateLayout: Position multiple elements across the screen (optional, for advanced layouts)',
+        editMermaidDiagram: 'editMermaidDiagram: Modify the selected Mermaid diagram',
+        editImage: 'editImage: Modify the selected image'
+      };
 
-CRITICAL REQUIREMENT: For EVERY user request, you MUST generate ALL THREE of the following:
-1. Text content using generateText tool - Provide a clear explanation or response to the user's request
-2. Mermaid diagram using generateMermaidDiagram tool - Create a visual diagram that represents the concept, process, or idea related to the request
-3. Image using generateImage tool - Generate a visual image that complements the text and diagram
+      const systemPrompt = `You are Jarvis, an advanced AI assistant with a futuristic interface. 
 
-This is MANDATORY for every single request, regardless of how simple or complex it is. Even for simple questions like "What is 2+2?", you must:
-- Generate text explaining the answer
-- Create a diagram showing the calculation visually
-- Generate an image related to numbers/math
+${editElement ? this.getEditInstructions(editElement) : policy.instructions}
 
 Available tools:
-- generateText: Generate formatted text content
-- generateMermaidDiagram: Generate a Mermaid diagram code
-- generateImage: Generate an image based on a prompt
-- generateLayout: Position multiple elements across the screen (optional, for advanced layouts)
-
-POSITIONING REQUIREMENTS:
-- Vertical position (y): MUST be between 0% and 65% to prevent elements from being cut off at the bottom of the screen
-- Horizontal position (x): Can be between 0% and 100%
-- CRITICAL: Each element (text, diagram, image) MUST use DIFFERENT positions to avoid overlapping
-- Recommended layout: Spread elements across different areas (e.g., text at top-left, diagram at top-right, image at center-left)
-- Maintain at least 20% spacing between elements horizontally and vertically to prevent overlap`;
+${Object.keys(tools).map(name => `- ${toolDescriptions[name]}`).join('\n')}
+
+POSITIONING:
+- positionX/positionY are hints (percentages of the screen) for where each element should appear; the interface measures elements and resolves overlaps automatically
+- Give each element a different hint to express the intended arrangement (e.g., text at top-left, diagram at top-right, image at center-left)${summary ? `
+
+SUMMARY OF EARLIER CONVERSATION:
+${summary}` : ''}`;
+
+      const model = modelId && modelId !== this.modelId ? this.provider.chatModel(modelId) : this.model;
+      logger.info('Streaming chat', { model: model.modelId, outputPolicy: policy.name, tools: Object.keys(tools), editElementId: editElement?.id, attachments: attachments.length });
 
       const result = streamText({
-        model: this.model,
+        model,
         system: systemPrompt,
         messages,
         tools,
-        maxSteps: 10, // Increased to allow for multiple tool calls
+        stopWhen: stepCountIs(10), // Tool results go back to the model, so it can answer after its tool calls
+        maxRetries: config.get('http.maxRetries'),
+        abortSignal,
+        experimental_context: { onUsage, modelId: modelId || this.modelId },
+        onError: () => {}, // Errors arrive as 'error' chunks below
       });
 
       // Stream both text and tool calls from fullStream
@@ -290,22 +405,52 @@ POSITIONING REQUIREMENTS:
         } else if (chunk.type === 'tool-call') {
           yield { 
             type: 'tool-call', 
+            toolCallId: chunk.toolCallId,
             toolName: chunk.toolName,
             args: chunk.input || chunk.args 
           };
         } else if (chunk.type === 'tool-result') {
           yield { 
             type: 'tool-result', 
+            toolCallId: chunk.toolCallId,
             toolName: chunk.toolName,
+            args: chunk.input,
             result: chunk.output 
           };
+        } else if (chunk.type === 'tool-error') {
+          // The error is also the tool's result for the next step, so the model can respond to it;
+          // the user sees why the element is missing
+          yield {
+            type: 'tool-error',
+            toolCallId: chunk.toolCallId,
+            toolName: chunk.toolName,
+            error: classifyError(chunk.error)
+          };
+        } else if (chunk.type === 'finish-step') {
+          // The model that actually answered (routers such as OpenRouter may substitute one)
+          // and the step's token usage; OpenRouter reports the cost as provider metadata
+          yield {
+            type: 'step-finish',
+            modelId: chunk.response?.modelId,
+            usage: { ...chunk.usage, cost: chunk.providerMetadata?.openrouter?.usage?.cost }
+          };
+        } else if (chunk.type === 'error') {
+          throw chunk.error;
+        } else if (chunk.type === 'abort') {
+          logger.info('Stream aborted');
+          return;
         }
       }
 
       logger.info('Stream completed');
     } catch (error) {
-      logger.error('Stream request failed', { error: error.message });
-      throw error;
+      if (abortSignal?.aborted) {
+        logger.info('Stream aborted');
+        return;
+      }
+      const typedError = classifyError(error);
+      logger.error('Stream request failed', { error: error.message, code: typedError.code, detail: typedError.detail });
+      throw typedError;
     }
   }
 }
@@ -0,0 +1,120 @@
+const path = require('path');
+const { PDFParse } = require('pdf-parse');
+const logger = require('../core/logger').createServiceLogger('ATTACHMENTS');
+const config = require('../core/config');
+const imageCache = require('./image-cache.service');
+
+// Image types every vision model accepts
+const IMAGE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+
+// Files read as text even when the OS reports no (or a generic) MIME type
+const TEXT_EXTENSIONS = [
+  'txt', 'md', 'markdown', 'csv', 'tsv', 'json', 'yaml', 'yml', 'toml', 'ini', 'xml', 'html', 'css', 'log',
+  'js', 'mjs', 'cjs', 'jsx', 'ts', 'tsx', 'py', 'rb', 'go', 'rs', 'java', 'kt', 'swift', 'c', 'h', 'cpp', 'hpp',
+  'cs', 'php', 'sh', 'bash', 'zsh', 'sql', 'vue', 'svelte', 'lua', 'r', 'scala', 'dart', 'env'
+];
+
+// Files dropped or pasted into the chat, turned into message attachments:
+// images go to the image cache and are sent to the model as image parts,
+// PDFs and text/code files are sent as their (locally extracted) text.
+// { type: 'image', name, size, url } | { type: 'text', name, size, text, truncated }
+class AttachmentService {
+  // file: { name, mimeType, data } with data as the file's bytes
+  async prepare({ name, mimeType, data }) {
+    const buffer = Buffer.from(data);
+    const fileName = path.basename(String(name || 'Pasted file'));
+    const maxBytes = config.get('attachments.maxFileBytes');
+    if (buffer.length > maxBytes) {
+      throw new Error(`${fileName} is too large (${this.formatSize(buffer.length)}, limit ${this.formatSize(maxBytes)})`);
+    }
+
+    const extension = path.extname(fileName).slice(1).toLowerCase();
+    let attachment;
+    if (IMAGE_MIME_TYPES.includes(mimeType)) {
+      const url = await imageCache.store(`data:${mimeType};base64,${buffer.toString('base64')}`);
+      if (!imageCache.isCacheUrl(url)) {
+        throw new Error(`${fileName} could not be stored`);
+      }
+      attachment = { type: 'image', name: fileName, size: buffer.length, url };
+    } else if (mimeType === 'application/pdf' || extension === 'pdf') {
+      attachment = this.toTextAttachment(fileName, buffer.length, await this.extractPdfText(buffer));
+    } else if (this.isText(mimeType, extension, buffer)) {
+      attachment = this.toTextAttachment(fileName, buffer.length, buffer.toString('utf8'));
+    } else {
+      throw new Error(`${fileName} is not supported. Attach images, PDFs or text files.`);
+    }
+
+    logger.info('Attachment prepared', { type: attachment.type, name: fileName, bytes: buffer.length });
+    return attachment;
+  }
+
+  toTextAttachment(name, size, text) {
+    const maxChars = config.get('attachments.maxTextChars');
+    if (!text.trim()) {
+      throw new Error(`No text found in ${name}`);
+    }
+    return {
+      type: 'text',
+      name,
+      size,
+      text: text.slice(0, maxChars),
+      truncated: text.length > maxChars
+    };
+  }
+
+  async extractPdfText(buffer) {
+    const parser = new PDFParse({ data: new Uint8Array(buffer) });
+    try {
+      const { text } = await parser.getText();
+      return text;
+    } catch (error) {
+      throw new Error(`Could not read the PDF: ${error.message}`);
+    } finally {
+      await parser.destroy();
+    }
+  }
+
+  // Text MIME type or known extension; unknown files count as text if they hold no NUL bytes
+  isText(mimeType, extension, buffer) {
+    if (mimeType?.startsWith('text/') || ['application/json', 'application/xml', 'application/javascript'].includes(mimeType)) {
+      return true;
+    }
+    if (TEXT_EXTENSIONS.includes(extension)) {
+      return true;
+    }
+    return !mimeType && !buffer.subarray(0, 8192).includes(0);
+  }
+
+  // Attachments sent with a message (as prepared above, coming back from the renderer):
+  // { success: true, attachments } with only the known fields kept, or { success: false, error }
+  parseAttachments(attachments) {
+    if (!Array.isArray(attachments)) {
+      return { success: false, error: 'Invalid attachments' };
+    }
+    const maxAttachments = config.get('attachments.maxPerMessage');
+    if (attachments.length > maxAttachments) {
+      return { success: false, error: `At most ${maxAttachments} attachments can be sent with a message` };
+    }
+
+    const maxChars = config.get('attachments.maxTextChars');
+    const parsed = [];
+    for (const attachment of attachments) {
+      const name = String(attachment?.name || 'Attachment');
+      const size = Number(attachment?.size) || 0;
+      if (attachment?.type === 'image' && imageCache.getFilePath(attachment.url)) {
+        parsed.push({ type: 'image', name, size, url: attachment.url });
+      } else if (attachment?.type === 'text' && typeof attachment.text === 'string' && attachment.text.length <= maxChars) {
+        parsed.push({ type: 'text', name, size, text: attachment.text, truncated: !!attachment.truncated });
+      } else {
+        return { success: false, error: `Attachment not found or invalid: ${name}` };
+      }
+    }
+    return { success: true, attachments: parsed };
+  }
+
+  formatSize(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+  }
+}
+
+module.exports = new AttachmentService();
@@ -0,0 +1,354 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../core/logger').createServiceLogger('EXPORT');
+const imageCache = require('./image-cache.service');
+const httpClient = require('../core/http-client');
+
+const TOOL_ELEMENT_TYPES = {
+  generateText: 'text',
+  generateMermaidDiagram: 'mermaid',
+  generateImage: 'image',
+  generateChart: 'chart',
+  generateTable: 'table',
+  generateCode: 'code',
+  generateTimeline: 'timeline',
+  editMermaidDiagram: 'mermaid',
+  editImage: 'image'
+};
+
+// Code language -> file extension when a snippet is exported on its own
+const CODE_EXTENSIONS = {
+  javascript: 'js', js: 'js', typescript: 'ts', ts: 'ts', jsx: 'jsx', tsx: 'tsx',
+  python: 'py', py: 'py', ruby: 'rb', go: 'go', rust: 'rs', java: 'java', kotlin: 'kt',
+  swift: 'swift', c: 'c', cpp: 'cpp', 'c++': 'cpp', csharp: 'cs', 'c#': 'cs', php: 'php',
+  bash: 'sh', shell: 'sh', sh: 'sh', zsh: 'sh', powershell: 'ps1', sql: 'sql',
+  html: 'html', css: 'css', scss: 'scss', json: 'json', yaml: 'yml', yml: 'yml',
+  xml: 'xml', markdown: 'md', md: 'md', lua: 'lua', r: 'r', dart: 'dart'
+};
+
+const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/svg+xml': 'svg'
+};
+
+class ExportService {
+  // Markdown file with text, fenced Mermaid blocks and images saved next to it
+  async exportMarkdown(session, filePath) {
+    const baseName = path.basename(filePath, path.extname(filePath));
+    const assetsDirName = `${baseName}_assets`;
+    const assetsDir = path.join(path.dirname(filePath), assetsDirName);
+    let imageCount = 0;
+
+    const lines = [`# ${session.name}`, '', `_Exported ${new Date().toLocaleString()}_`, ''];
+
+    for (const entry of session.history) {
+      lines.push(`## ${entry.role === 'user' ? 'You' : 'Jarvis'}`, '');
+      if (entry.content) {
+        lines.push(entry.content, '');
+      }
+
+      for (const attachment of entry.attachments || []) {
+        if (attachment.type === 'text') {
+          lines.push(`_Attached file: ${attachment.name}_`, '');
+          continue;
+        }
+        imageCount++;
+        const fileName = await this.saveImage(attachment.url, assetsDir, `attachment-${imageCount}`);
+        const src = fileName ? encodeURI(`${assetsDirName}/${fileName}`) : attachment.url;
+        lines.push(`![${attachment.name}](${src})`, '');
+      }
+
+      for (const element of this.getEntryElements(entry)) {
+        if (element.type === 'text' && element.content !== entry.content) {
+          lines.push(element.content, '');
+        } else if (element.type === 'mermaid') {
+          lines.push('```mermaid', element.content, '```', '');
+        } else if (element.type === 'image') {
+          imageCount++;
+          const fileName = await this.saveImage(element.content, assetsDir, `image-${imageCount}`);
+          const src = fileName ? encodeURI(`${assetsDirName}/${fileName}`) : element.content;
+          lines.push(`![Generated image ${imageCount}](${src})`, '');
+        } else if (['chart', 'table', 'code', 'timeline'].includes(element.type)) {
+          lines.push(this.toMarkdown(element), '');
+        }
+      }
+    }
+
+    fs.writeFileSync(filePath, lines.join('\n'));
+    logger.info('Session exported as Markdown', { filePath, imageCount });
+    return filePath;
+  }
+
+  // Self-contained HTML page reproducing the canvas layout plus the conversation.
+  // canvas: { viewport: { width, height }, elements: [{ type, content, svg, left, top, width, height }] }
+  async exportHtml(session, canvas, filePath) {
+    const elements = [];
+    for (const element of canvas.elements) {
+      elements.push(await this.renderHtmlElement(element));
+    }
+
+    const messages = [];
+    for (const entry of session.history) {
+      const attachments = [];
+      for (const attachment of entry.attachments || []) {
+        if (attachment.type === 'text') {
+          attachments.push(`<div class="attachment">📎 ${this.escapeHtml(attachment.name)}</div>`);
+          continue;
+        }
+        attachments.push(`<img src="${this.escapeHtml(await this.inlineImage(attachment.url))}" alt="${this.escapeHtml(attachment.name)}">`);
+      }
+      messages.push(`
+      <div class="message ${entry.role}">
+        <div class="role">${entry.role === 'user' ? 'You' : 'Jarvis'}</div>
+        <div class="content">${this.escapeHtml(entry.content)}</div>${attachments.join('')}
+      </div>`);
+    }
+
+    const html = `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>${this.escapeHtml(session.name)}</title>
+  <style>
+    body { margin: 0; background: #111; color: #e5e7eb; font-family: 'SF Mono', 'Monaco', 'Courier New', monospace; }
+    h1 { font-size: 18px; padding: 20px 40px 0; }
+    .canvas { position: relative; margin: 20px 40px; border: 1px solid rgba(255, 255, 255, 0.1); border-radius: 16px; overflow: hidden; background: linear-gradient(135deg, #000 0%, #141414 100%); }
+    .element { position: absolute; box-sizing: border-box; padding: 20px; overflow: auto; background: rgba(255, 255, 255, 0.05); border: 1px solid rgba(255, 255, 255, 0.1); border-radius: 16px; box-shadow: 0 8px 32px rgba(0, 0, 0, 0.3); }
+    .element.text { font-size: 14px; line-height: 1.6; white-space: pre-wrap; word-wrap: break-word; }
+    .element svg, .element img { max-width: 100%; height: auto; display: block; border-radius: 8px; }
+    .element h2 { font-size: 14px; margin: 0 0 12px; }
+    .element table { border-collapse: collapse; font-size: 12px; width: 100%; }
+    .element th, .element td { border: 1px solid rgba(255, 255, 255, 0.15); padding: 6px 10px; text-align: left; }
+    .element th { background: rgba(255, 255, 255, 0.08); }
+    .element pre { margin: 0; font-size: 12px; line-height: 1.5; white-space: pre-wrap; }
+    .element ol { margin: 0; padding-left: 20px; font-size: 13px; line-height: 1.5; }
+    .element li { margin-bottom: 8px; }
+    .element .date { opacity: 0.6; margin-right: 8px; }
+    .conversation { margin: 20px 40px 40px; display: flex; flex-direction: column; gap: 16px; }
+    .message { padding: 16px 24px; border-radius: 16px; max-width: 80%; border: 1px solid rgba(255, 255, 255, 0.1); background: rgba(255, 255, 255, 0.03); }
+    .message.user { align-self: flex-end; }
+    .role { font-size: 11px; opacity: 0.6; margin-bottom: 6px; }
+    .content { white-space: pre-wrap; font-size: 13px; line-height: 1.5; }
+    .message img { max-width: 100%; max-height: 240px; margin-top: 8px; border-radius: 8px; }
+    .attachment { margin-top: 8px; font-size: 12px; opacity: 0.7; }
+  </style>
+</head>
+<body>
+  <h1>${this.escapeHtml(session.name)}</h1>
+  <div class="canvas" style="width: ${canvas.viewport.width}px; height: ${canvas.viewport.height}px;">
+    ${elements.join('\n    ')}
+  </div>
+  <section class="conversation">${messages.join('')}
+  </section>
+</body>
+</html>`;
+
+    fs.writeFileSync(filePath, html);
+    logger.info('Session exported as HTML', { filePath, elementCount: elements.length });
+    return filePath;
+  }
+
+  // Single canvas element: diagram as SVG/PNG, image as its own file, text as plain text,
+  // chart as PNG/CSV, table as CSV/Markdown, code as a source file, timeline as Markdown
+  async exportElement(element, filePath) {
+    const extension = path.extname(filePath).slice(1).toLowerCase();
+
+    if (element.type === 'mermaid') {
+      if (extension === 'png') {
+        fs.writeFileSync(filePath, this.decodeDataUrl(element.png).buffer);
+      } else {
+        fs.writeFileSync(filePath, element.svg);
+      }
+    } else if (element.type === 'image') {
+      const { buffer } = await this.loadImage(element.content);
+      fs.writeFileSync(filePath, buffer);
+    } else if (element.type === 'chart' && extension === 'png') {
+      fs.writeFileSync(filePath, this.decodeDataUrl(element.png).buffer);
+    } else if ((element.type === 'chart' || element.type === 'table') && extension === 'csv') {
+      const { columns, rows } = this.toTableData(element);
+      fs.writeFileSync(filePath, [columns, ...rows].map(row => row.map(cell => this.escapeCsv(cell)).join(',')).join('\r\n'));
+    } else if (element.type === 'code') {
+      fs.writeFileSync(filePath, element.content.code);
+    } else if (element.type === 'table' || element.type === 'timeline') {
+      fs.writeFileSync(filePath, this.toMarkdown(element));
+    } else {
+      fs.writeFileSync(filePath, element.content);
+    }
+
+    logger.info('Element exported', { type: element.type, filePath });
+    return filePath;
+  }
+
+  // Default file extension for exporting a code snippet
+  getCodeExtension(language) {
+    return CODE_EXTENSIONS[String(language || '').toLowerCase()] || 'txt';
+  }
+
+  // Default file extension for exporting an element's image content
+  getImageExtension(content) {
+    const match = /^data:([^;,]+)/.exec(content || '');
+    if (match) return IMAGE_EXTENSIONS[match[1]] || 'png';
+    try {
+      return path.extname(new URL(content).pathname).slice(1) || 'png';
+    } catch {
+      return 'png';
+    }
+  }
+
+  async renderHtmlElement(element) {
+    const style = `left: ${element.left}px; top: ${element.top}px; width: ${element.width}px; height: ${element.height}px;`;
+
+    if (element.type === 'mermaid') {
+      // Rendered SVG from the canvas; fall back to the source if rendering failed
+      const body = element.svg || `<pre>${this.escapeHtml(element.content)}</pre>`;
+      return `<div class="element mermaid" style="${style}">${body}</div>`;
+    }
+
+    if (element.type === 'image') {
+      const src = await this.inlineImage(element.content);
+      return `<div class="element image" style="${style}"><img src="${this.escapeHtml(src)}" alt="Generated image"></div>`;
+    }
+
+    if (element.type === 'chart' && element.png) {
+      return `<div class="element chart" style="${style}"><img src="${this.escapeHtml(element.png)}" alt="${this.escapeHtml(element.content.title || 'Chart')}"></div>`;
+    }
+
+    // Charts that could not be captured are shown as their data
+    if (element.type === 'chart' || element.type === 'table') {
+      const { columns, rows } = this.toTableData(element);
+      const title = element.content.title ? `<h2>${this.escapeHtml(element.content.title)}</h2>` : '';
+      const head = columns.map(column => `<th>${this.escapeHtml(column)}</th>`).join('');
+      const body = rows.map(row => `<tr>${row.map(cell => `<td>${this.escapeHtml(cell)}</td>`).join('')}</tr>`).join('');
+      return `<div class="element ${element.type}" style="${style}">${title}<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table></div>`;
+    }
+
+    if (element.type === 'code') {
+      const title = element.content.title ? `<h2>${this.escapeHtml(element.content.title)}</h2>` : '';
+      return `<div class="element code" style="${style}">${title}<pre><code>${this.escapeHtml(element.content.code)}</code></pre></div>`;
+    }
+
+    if (element.type === 'timeline') {
+      const title = element.content.title ? `<h2>${this.escapeHtml(element.content.title)}</h2>` : '';
+      const events = element.content.events.map(event => `
+        <li><span class="date">${this.escapeHtml(event.date)}</span><strong>${this.escapeHtml(event.title)}</strong>${event.description ? `<br>${this.escapeHtml(event.description)}` : ''}</li>`).join('');
+      return `<div class="element timeline" style="${style}">${title}<ol>${events}</ol></div>`;
+    }
+
+    return `<div class="element text" style="${style}">${this.escapeHtml(element.content)}</div>`;
+  }
+
+  // Header row and data rows of a table, or of a chart (one row per label, one column per dataset)
+  toTableData(element) {
+    if (element.type === 'table') {
+      return { columns: element.content.columns, rows: element.content.rows };
+    }
+    const { labels, datasets } = element.content;
+    return {
+      columns: ['', ...datasets.map(dataset => dataset.label)],
+      rows: labels.map((label, index) => [label, ...datasets.map(dataset => dataset.data[index])])
+    };
+  }
+
+  // Markdown for a chart (its data), table, code snippet or timeline
+  toMarkdown(element) {
+    const { content } = element;
+    const lines = content.title ? [`**${content.title}**`, ''] : [];
+
+    if (element.type === 'code') {
+      const fence = content.code.includes('```') ? '~~~~' : '```';
+      lines.push(`${fence}${content.language || ''}`, content.code, fence);
+    } else if (element.type === 'timeline') {
+      lines.push(...content.events.map(event => `- **${event.date}**: ${event.title}${event.description ? ` — ${event.description}` : ''}`));
+    } else {
+      const { columns, rows } = this.toTableData(element);
+      const cells = row => `| ${row.map(cell => String(cell ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ')).join(' | ')} |`;
+      lines.push(cells(columns), `| ${columns.map(() => '---').join(' | ')} |`, ...rows.map(cells));
+    }
+    return lines.join('\n');
+  }
+
+  escapeCsv(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Data URL of an image so the page is self-contained (the original URL if it cannot be loaded)
+  async inlineImage(content) {
+    try {
+      const { buffer, mimeType } = await this.loadImage(content);
+      return `data:${mimeType};base64,${buffer.toString('base64')}`;
+    } catch (error) {
+      logger.warn('Could not inline image, keeping original URL', { error: error.message });
+      return content;
+    }
+  }
+
+  // Canvas elements produced by an assistant entry's tool calls
+  getEntryElements(entry) {
+    return (entry.metadata?.tools || []).flatMap(({ toolName, result }) => {
+      if (!result) return [];
+      if (toolName === 'generateLayout') return result.elements || [];
+      if (!TOOL_ELEMENT_TYPES[toolName]) return [];
+      return [{ type: TOOL_ELEMENT_TYPES[toolName], content: result.content }];
+    });
+  }
+
+  // Write an image to assetsDir, returning its file name (null if it could not be fetched)
+  async saveImage(content, assetsDir, baseName) {
+    try {
+      const { buffer, mimeType } = await this.loadImage(content);
+      const fileName = `${baseName}.${IMAGE_EXTENSIONS[mimeType] || 'png'}`;
+      fs.mkdirSync(assetsDir, { recursive: true });
+      fs.writeFileSync(path.join(assetsDir, fileName), buffer);
+      return fileName;
+    } catch (error) {
+      logger.warn('Could not save image, linking original URL', { error: error.message });
+      return null;
+    }
+  }
+
+  async loadImage(content) {
+    if (imageCache.isCacheUrl(content)) {
+      return imageCache.read(content);
+    }
+    if (content.startsWith('data:')) {
+      return this.decodeDataUrl(content);
+    }
+
+    const response = await httpClient.get(content, { responseType: 'arraybuffer' });
+    return {
+      buffer: Buffer.from(response.data),
+      mimeType: (response.headers['content-type'] || 'image/png').split(';')[0]
+    };
+  }
+
+  decodeDataUrl(dataUrl) {
+    const match = /^data:([^;,]+)(;base64)?,(.*)$/s.exec(dataUrl || '');
+    if (!match) {
+      throw new Error('Invalid data URL');
+    }
+    const [, mimeType, isBase64, data] = match;
+    return {
+      mimeType,
+      buffer: isBase64 ? Buffer.from(data, 'base64') : Buffer.from(decodeURIComponent(data))
+    };
+  }
+
+  escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // Safe default file name for a session
+  getFileBaseName(name) {
+    return (name || 'session').replace(/[^\w\- ]+/g, '_').trim() || 'session';
+  }
+}
+
+module.exports = new ExportService();
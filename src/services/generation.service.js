@@ -0,0 +1,217 @@
+const logger = require('../core/logger').createServiceLogger('GENERATION');
+const config = require('../core/config');
+const { createProvider } = require('../providers');
+const { ContentFilterError } = require('../core/errors');
+const { createUsageRecord } = require('../core/usage');
+const mermaidValidator = require('./mermaid-validator.service');
+const imageCache = require('./image-cache.service');
+
+const MERMAID_OUTPUT_RULES = 'Return ONLY the mermaid code without any markdown code blocks or explanations. Start directly with the diagram type (\'graph\', \'flowchart\', \'sequenceDiagram\', etc.).';
+
+// Diagram and image generation shared by the streaming tools and the
+// generate-diagram/generate-image IPC handlers. Requests go through the provider,
+// so the replay provider (or a mock) can stand in for the network.
+class GenerationService {
+  constructor() {
+    this.configure();
+  }
+
+  // imageCache replaces the shared cache (tests pass one in a temporary directory)
+  configure({ imageCache: cache } = {}) {
+    this.provider = createProvider();
+    this.imageCache = cache || imageCache;
+    this.modelId = config.get('ai.model');
+    this.imageModel = config.get('ai.imageModel');
+  }
+
+  // Options of the public methods: { abortSignal, onUsage, modelId } where onUsage receives a
+  // usage record (core/usage.js) for every request made, and modelId is the model that writes
+  // diagrams (the message's chat model; the configured one by default). Images always use
+  // the configured image model
+
+  // Mermaid code for a description, validated (and repaired) before it is returned.
+  // Resolves to { content, validation: { status, attempts, error } }
+  async generateDiagram(description, options = {}) {
+    logger.info('Generating diagram', { description });
+    return this.requestDiagram(`Generate a mermaid diagram for: ${description}\n\n${MERMAID_OUTPUT_RULES}`, options);
+  }
+
+  // Updated Mermaid code for an existing diagram
+  async editDiagram(source, instruction, options = {}) {
+    logger.info('Editing diagram', { instruction });
+    return this.requestDiagram(`Here is the current mermaid diagram:\n${source}\n\nModify it as follows: ${instruction}\n\n${MERMAID_OUTPUT_RULES}`, options);
+  }
+
+  // Cache URL of an image generated from a prompt
+  async generateImage(prompt, options = {}) {
+    logger.info('Generating image', { prompt });
+    return this.requestImage([{ type: 'text', text: prompt }], options);
+  }
+
+  // Cache URL of an edited image; the current image is given to the image model as input
+  async editImage(imageUrl, instruction, options = {}) {
+    logger.info('Editing image', { instruction });
+    return this.requestImage([
+      { type: 'text', text: `Edit this image: ${instruction}` },
+      { type: 'image_url', image_url: { url: this.getImageInputUrl(imageUrl) } }
+    ], options);
+  }
+
+  async requestDiagram(prompt, options) {
+    const { abortSignal } = options;
+    const messages = [{ role: 'user', content: prompt }];
+    try {
+      const code = this.stripCodeFences(await this.requestCompletion(messages, options));
+      const validation = await this.validateAndRepairMermaid(code, messages, options);
+
+      logger.info('Diagram generated', { length: validation.code.length, status: validation.status });
+      return {
+        content: validation.code,
+        validation: {
+          status: validation.status,
+          attempts: validation.attempts,
+          error: validation.error
+        }
+      };
+    } catch (error) {
+      if (!abortSignal?.aborted) {
+        logger.error('Diagram generation failed', { error: error.message, detail: error.detail });
+      }
+      throw error;
+    }
+  }
+
+  // Text of a plain chat completion
+  async requestCompletion(messages, { abortSignal, onUsage, modelId = this.modelId } = {}) {
+    const response = await this.provider.postChatCompletion(
+      {
+        model: modelId,
+        messages
+      },
+      { signal: abortSignal }
+    );
+    onUsage?.(createUsageRecord('diagram', response.data.model || modelId, response.data.usage));
+
+    const choice = response.data.choices?.[0];
+    if (choice?.finish_reason === 'content_filter' && !choice.message?.content) {
+      throw new ContentFilterError();
+    }
+    if (typeof choice?.message?.content !== 'string') {
+      throw new Error('AI model returned an empty response');
+    }
+    return choice.message.content;
+  }
+
+  // Models often wrap code in a markdown fence despite being asked not to
+  stripCodeFences(text) {
+    const fenced = /```[\w-]*\s*\n([\s\S]*?)```/.exec(text);
+    return (fenced ? fenced[1] : text.replace(/```[\w-]*/g, '')).trim();
+  }
+
+  // Parse the code and feed parse errors back to the model for a bounded number of repairs.
+  // status: 'valid' (first try), 'repaired', 'invalid' (gave up) or 'unchecked' (validator unavailable)
+  async validateAndRepairMermaid(code, messages, options) {
+    if (!config.get('mermaid.validate')) {
+      return { code, status: 'unchecked', attempts: 0 };
+    }
+
+    const maxRepairAttempts = config.get('mermaid.maxRepairAttempts');
+    const conversation = [...messages];
+    let attempts = 0;
+
+    while (true) {
+      let validation;
+      try {
+        validation = await mermaidValidator.validate(code);
+      } catch (error) {
+        logger.warn('Mermaid validator unavailable', { error: error.message });
+        return { code, status: 'unchecked', attempts };
+      }
+
+      if (validation.valid) {
+        return { code, status: attempts === 0 ? 'valid' : 'repaired', attempts };
+      }
+
+      if (attempts >= maxRepairAttempts) {
+        logger.warn('Mermaid code still invalid after repair attempts', { attempts, error: validation.error });
+        return { code, status: 'invalid', attempts, error: validation.error };
+      }
+
+      attempts++;
+      logger.info('Repairing invalid mermaid code', { attempt: attempts, error: validation.error });
+      conversation.push(
+        { role: 'assistant', content: code },
+        { role: 'user', content: `That Mermaid code failed to parse:\n${validation.error}\n\nFix the error. ${MERMAID_OUTPUT_RULES}` }
+      );
+      code = this.stripCodeFences(await this.requestCompletion(conversation, options));
+    }
+  }
+
+  // Send message content (text plus optional input images) to the image model
+  // and return the cached URL of the first generated image
+  async requestImage(messageContent, { abortSignal, onUsage } = {}) {
+    const model = this.imageModel || 'google/gemini-2.5-flash-image';
+    logger.info('Making image request to AI provider', { provider: this.provider.name, model });
+
+    try {
+      // Image generation is slow, so it gets its own (longer) timeout
+      const response = await this.provider.postImageRequest(
+        {
+          model,
+          messages: [{ role: 'user', content: messageContent }]
+        },
+        {
+          signal: abortSignal,
+          timeout: config.get('http.imageTimeoutMs')
+        }
+      );
+
+      // OpenRouter returns generated images on the message next to the text content
+      const choice = response.data.choices?.[0];
+      const finishReason = choice?.finish_reason;
+      const generatedImages = choice?.message?.images || [];
+      onUsage?.(createUsageRecord('image', response.data.model || model, response.data.usage, { images: generatedImages.length ? 1 : 0 }));
+      const generatedContent = choice?.message?.content;
+
+      logger.info('Image response parsed', { finishReason, imagesCount: generatedImages.length, hasContent: !!generatedContent });
+
+      if (finishReason === 'content_filter' && generatedImages.length === 0) {
+        throw new ContentFilterError();
+      }
+      if (!finishReason || !['stop', 'length', 'content_filter'].includes(finishReason)) {
+        throw new Error(`AI generation incomplete. Reason: ${finishReason || 'unknown'}`);
+      }
+
+      if (generatedImages.length > 0) {
+        const imageUrl = generatedImages[0].image_url?.url || generatedImages[0];
+        if (typeof imageUrl !== 'string') {
+          throw new Error('Generated image data is invalid or missing');
+        }
+
+        logger.info('Image generated', { url: imageUrl.substring(0, 50) + '...' });
+        // Keep large data URLs out of the DOM and session history
+        return await this.imageCache.store(imageUrl, { abortSignal });
+      }
+
+      if (generatedContent) {
+        logger.warn('No images generated, only text content returned', { content: generatedContent.substring(0, 200) });
+        throw new Error('AI model returned text instead of generating an image');
+      }
+      throw new Error('AI model did not generate any content');
+    } catch (error) {
+      if (!abortSignal?.aborted) {
+        logger.error('Image generation failed', { error: error.message, detail: error.detail, status: error.status });
+      }
+      throw error;
+    }
+  }
+
+  // Cached images only exist on this machine, so they are sent inline
+  getImageInputUrl(content) {
+    if (!this.imageCache.isCacheUrl(content)) return content;
+    const { buffer, mimeType } = this.imageCache.read(content);
+    return `data:${mimeType};base64,${buffer.toString('base64')}`;
+  }
+}
+
+module.exports = new GenerationService();
@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../core/logger').createServiceLogger('IMAGE_CACHE');
+const config = require('../core/config');
+const httpClient = require('../core/http-client');
+
+const SCHEME = 'jarvis-image';
+const CACHE_URL_PREFIX = `${SCHEME}://cache/`;
+const CACHE_FILE_PATTERN = /^[a-f0-9]{64}\.(png|jpg|webp|gif|svg)$/;
+
+const EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/svg+xml': 'svg'
+};
+
+const MIME_TYPES = Object.fromEntries(Object.entries(EXTENSIONS).map(([mime, ext]) => [ext, mime]));
+
+// Content-addressed on-disk cache for generated images. Images are stored as
+// <sha256>.<ext> and referenced as jarvis-image://cache/<file>, served by the
+// protocol handler registered in main.js, so sessions never hold base64 data URLs.
+class ImageCacheService {
+  constructor() {
+    this.directory = null;
+    this.maxImageBytes = config.get('imageCache.maxImageBytes');
+    this.maxCacheBytes = config.get('imageCache.maxCacheBytes');
+  }
+
+  initialize(directory) {
+    this.directory = directory;
+    fs.mkdirSync(this.directory, { recursive: true });
+    this.evict();
+    logger.info('Image cache initialized', { directory });
+  }
+
+  get scheme() {
+    return SCHEME;
+  }
+
+  isCacheUrl(url) {
+    return typeof url === 'string' && url.startsWith(CACHE_URL_PREFIX);
+  }
+
+  // Store a data URL or remote image and return its cache URL.
+  // Falls back to the original URL when the cache is unavailable.
+  async store(imageUrl, { abortSignal } = {}) {
+    if (!this.directory || this.isCacheUrl(imageUrl)) {
+      return imageUrl;
+    }
+
+    let image;
+    try {
+      image = await this.fetchImage(imageUrl, abortSignal);
+    } catch (error) {
+      if (abortSignal?.aborted) throw error;
+      logger.warn('Could not cache image, keeping original URL', { error: error.message });
+      return imageUrl;
+    }
+
+    if (image.buffer.length > this.maxImageBytes) {
+      throw new Error(`Generated image is too large (${(image.buffer.length / 1024 / 1024).toFixed(1)} MB, limit ${(this.maxImageBytes / 1024 / 1024).toFixed(0)} MB)`);
+    }
+
+    const hash = crypto.createHash('sha256').update(image.buffer).digest('hex');
+    const fileName = `${hash}.${EXTENSIONS[image.mimeType] || 'png'}`;
+    const filePath = path.join(this.directory, fileName);
+
+    if (fs.existsSync(filePath)) {
+      this.touch(filePath);
+    } else {
+      fs.writeFileSync(filePath, image.buffer);
+      this.evict();
+    }
+
+    logger.info('Image cached', { fileName, bytes: image.buffer.length });
+    return `${CACHE_URL_PREFIX}${fileName}`;
+  }
+
+  // File path for a cache URL, or null if it is not a valid cached image
+  getFilePath(url) {
+    if (!this.directory || !this.isCacheUrl(url)) return null;
+
+    const fileName = new URL(url).pathname.replace(/^\//, '');
+    if (!CACHE_FILE_PATTERN.test(fileName)) return null;
+
+    const filePath = path.join(this.directory, fileName);
+    return fs.existsSync(filePath) ? filePath : null;
+  }
+
+  // Read a cached image, marking it as recently used
+  read(url) {
+    const filePath = this.getFilePath(url);
+    if (!filePath) {
+      throw new Error(`Image not found in cache: ${url}`);
+    }
+
+    this.touch(filePath);
+    return {
+      buffer: fs.readFileSync(filePath),
+      mimeType: MIME_TYPES[path.extname(filePath).slice(1)] || 'image/png'
+    };
+  }
+
+  touch(filePath) {
+    const now = new Date();
+    fs.utimesSync(filePath, now, now);
+  }
+
+  // Drop least recently used images until the cache fits its size limit
+  evict() {
+    const files = fs.readdirSync(this.directory)
+      .filter(file => CACHE_FILE_PATTERN.test(file))
+      .map(file => {
+        const filePath = path.join(this.directory, file);
+        const { size, mtimeMs } = fs.statSync(filePath);
+        return { filePath, size, mtimeMs };
+      })
+      .sort((a, b) => a.mtimeMs - b.mtimeMs);
+
+    let totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+    let evicted = 0;
+    for (const file of files) {
+      if (totalBytes <= this.maxCacheBytes) break;
+      fs.rmSync(file.filePath, { force: true });
+      totalBytes -= file.size;
+      evicted++;
+    }
+
+    if (evicted > 0) {
+      logger.info('Evicted cached images', { evicted, totalBytes });
+    }
+  }
+
+  async fetchImage(imageUrl, abortSignal) {
+    const match = /^data:([^;,]+)(;base64)?,(.*)$/s.exec(imageUrl);
+    if (match) {
+      const [, mimeType, isBase64, data] = match;
+      return {
+        mimeType,
+        buffer: isBase64 ? Buffer.from(data, 'base64') : Buffer.from(decodeURIComponent(data))
+      };
+    }
+
+    const response = await httpClient.get(imageUrl, {
+      responseType: 'arraybuffer',
+      maxContentLength: this.maxImageBytes,
+      signal: abortSignal
+    });
+    return {
+      buffer: Buffer.from(response.data),
+      mimeType: (response.headers['content-type'] || 'image/png').split(';')[0]
+    };
+  }
+}
+
+module.exports = new ImageCacheService();
+// For separate caches (tests); the app uses the shared instance above
+module.exports.ImageCacheService = ImageCacheService;
@@ -0,0 +1,80 @@
+const logger = require('../core/logger').createServiceLogger('MERMAID_VALIDATOR');
+
+// The hidden window counts as an open window, so it is closed once it has been idle this
+// long; otherwise closing every visible window would not quit the app on Windows/Linux
+const IDLE_TIMEOUT_MS = 30000;
+
+// Parses Mermaid code with the real mermaid parser inside a hidden window.
+// mermaid needs a DOM (DOMPurify) for most diagram types, so it cannot run
+// directly in the main process.
+class MermaidValidatorService {
+  constructor() {
+    this.window = null;
+    this.loading = null;
+    this.activeValidations = 0;
+    this.idleTimer = null;
+  }
+
+  async getWindow() {
+    if (this.window && !this.window.isDestroyed()) {
+      await this.loading;
+      return this.window;
+    }
+
+    // Required here so the service can be loaded outside Electron (tests stub validate)
+    const { BrowserWindow } = require('electron');
+    this.window = new BrowserWindow({
+      show: false,
+      webPreferences: {
+        nodeIntegration: false,
+        contextIsolation: true,
+        sandbox: true
+      }
+    });
+    this.loading = this.window.loadFile('src/ui/mermaid-validator.html');
+    await this.loading;
+
+    logger.info('Mermaid validator window ready');
+    return this.window;
+  }
+
+  // Returns { valid: true } or { valid: false, error }
+  async validate(code) {
+    clearTimeout(this.idleTimer);
+    this.activeValidations++;
+    try {
+      const window = await this.getWindow();
+      const result = await window.webContents.executeJavaScript(`
+        mermaid.parse(${JSON.stringify(code)})
+          .then(() => ({ valid: true }))
+          .catch(error => ({ valid: false, error: String(error?.message || error) }))
+      `);
+
+      logger.debug('Mermaid code validated', { valid: result.valid });
+      return result;
+    } finally {
+      this.activeValidations--;
+      if (this.activeValidations === 0) {
+        this.idleTimer = setTimeout(() => {
+          logger.debug('Closing idle mermaid validator window');
+          this.destroy();
+        }, IDLE_TIMEOUT_MS);
+      }
+    }
+  }
+
+  isValidatorWindow(window) {
+    return !!this.window && window === this.window;
+  }
+
+  destroy() {
+    clearTimeout(this.idleTimer);
+    if (this.window && !this.window.isDestroyed()) {
+      this.window.destroy();
+    }
+    this.window = null;
+    this.loading = null;
+  }
+}
+
+module.exports = new MermaidValidatorService();
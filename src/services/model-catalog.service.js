@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../core/logger').createServiceLogger('MODEL_CATALOG');
+const config = require('../core/config');
+const { createProvider } = require('../providers');
+
+// Chat models offered by the current provider, for the model picker. Lists are
+// fetched from the provider's models endpoint and cached in memory and on disk
+// (per provider and base URL), so the picker still works offline; with no
+// cached list the static fallback from config is offered.
+class ModelCatalogService {
+  constructor() {
+    this.cacheFile = null;
+    this.entries = {}; // provider key -> { fetchedAt, models }
+    this.pending = new Map(); // provider key -> in-flight fetch
+  }
+
+  initialize(directory) {
+    this.cacheFile = path.join(directory, config.get('models.cacheFile'));
+    try {
+      if (fs.existsSync(this.cacheFile)) {
+        this.entries = JSON.parse(fs.readFileSync(this.cacheFile, 'utf8'));
+      }
+    } catch (error) {
+      logger.warn('Could not read model cache', { file: this.cacheFile, error: error.message });
+    }
+  }
+
+  // { models: [{ id, name, contextLength }], source: 'provider' | 'cache' | 'fallback', defaultModel }
+  async listModels({ refresh = false } = {}) {
+    const provider = createProvider();
+    const key = `${provider.name}|${provider.baseUrl}`;
+    const cached = this.entries[key];
+    const fresh = cached && Date.now() - cached.fetchedAt < config.get('models.cacheTtlMs');
+
+    let models;
+    let source;
+    if (fresh && !refresh) {
+      models = cached.models;
+      source = 'cache';
+    } else {
+      try {
+        models = await this.fetchModels(provider, key);
+        source = 'provider';
+      } catch (error) {
+        logger.warn('Could not fetch models, using cached or fallback list', { provider: provider.name, error: error.message });
+        models = cached?.models || this.getFallbackModels();
+        source = cached ? 'cache' : 'fallback';
+      }
+    }
+
+    return {
+      models: this.withModel(models, config.get('ai.model')),
+      source,
+      defaultModel: config.get('ai.model')
+    };
+  }
+
+  fetchModels(provider, key) {
+    if (!this.pending.has(key)) {
+      const request = provider.listModels({ retries: 0 })
+        .then(models => {
+          // Image-only models cannot chat
+          const chatModels = models
+            .filter(model => !model.outputModalities || model.outputModalities.includes('text'))
+            .map(({ id, name, contextLength }) => ({ id, name, contextLength }))
+            .sort((a, b) => a.id.localeCompare(b.id));
+          if (chatModels.length === 0) {
+            throw new Error('Provider returned no models');
+          }
+
+          this.entries[key] = { fetchedAt: Date.now(), models: chatModels };
+          this.save();
+          logger.info('Models fetched', { provider: provider.name, count: chatModels.length });
+          return chatModels;
+        })
+        .finally(() => this.pending.delete(key));
+      this.pending.set(key, request);
+    }
+    return this.pending.get(key);
+  }
+
+  getFallbackModels() {
+    const fallback = config.get('models.fallback')[config.get('ai.provider')] || [];
+    return fallback.map(id => ({ id, name: id }));
+  }
+
+  // Keep the configured model selectable even when the provider does not list it
+  withModel(models, modelId) {
+    if (!modelId || models.some(model => model.id === modelId)) return models;
+    return [{ id: modelId, name: modelId }, ...models];
+  }
+
+  save() {
+    if (!this.cacheFile) return;
+    try {
+      fs.writeFileSync(this.cacheFile, JSON.stringify(this.entries));
+    } catch (error) {
+      logger.warn('Could not write model cache', { file: this.cacheFile, error: error.message });
+    }
+  }
+}
+
+module.exports = new ModelCatalogService();
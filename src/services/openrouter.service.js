@@ -1,39 +1,33 @@
-const axios = require('axios');
 const logger = require('../core/logger').createServiceLogger('OPENROUTER');
 const config = require('../core/config');
+const { createProvider } = require('../providers');
+const { toChatCompletionMessages } = require('../core/history-messages');
 
 class OpenRouterService {
   constructor() {
-    this.apiKey = config.get('openrouter.apiKey');
-    this.model = config.get('openrouter.model');
-    this.imageModel = config.get('openrouter.imageModel');
-    this.baseUrl = config.get('openrouter.baseUrl');
+    this.configure();
+  }
+
+  configure() {
+    this.provider = createProvider();
+    this.model = config.get('ai.model');
     
-    if (!this.apiKey) {
-      logger.warn('OpenRouter API key not configured');
+    if (!this.provider.isConfigured()) {
+      logger.warn('AI provider not configured', { provider: this.provider.name });
     }
   }
 
   async chat(message, history = []) {
     try {
       const messages = [
-        ...history.map(h => ({ role: h.role, content: h.content })),
+        ...toChatCompletionMessages(history),
         { role: 'user', content: message }
       ];
 
-      const response = await axios.post(
-        `${this.baseUrl}/chat/completions`,
-        {
-          model: this.model,
-          messages
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+      const response = await this.provider.postChatCompletion({
+        model: this.model,
+        messages
+      });
 
       const result = {
         content: response.data.choices[0].message.content,
@@ -50,7 +44,8 @@ class OpenRouterService {
     } catch (error) {
       logger.error('Chat request failed', { 
         error: error.message,
-        status: error.response?.status 
+        status: error.status,
+        detail: error.detail
       });
       throw error;
     }
@@ -59,24 +54,17 @@ class OpenRouterService {
   async *streamChat(message, history = []) {
     try {
       const messages = [
-        ...history.map(h => ({ role: h.role, content: h.content })),
+        ...toChatCompletionMessages(history),
         { role: 'user', content: message }
       ];
 
-      const response = await axios.post(
-        `${this.baseUrl}/chat/completions`,
+      const response = await this.provider.postChatCompletion(
         {
           model: this.model,
           messages,
           stream: true
         },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json'
-          },
-          responseType: 'stream'
-        }
+        { responseType: 'stream' }
       );
 
       for await (const chunk of response.data) {
@@ -105,122 +93,6 @@ class OpenRouterService {
       throw error;
     }
   }
-
-  async generateDiagram(prompt) {
-    try {
-      const diagramPrompt = `Generate a mermaid diagram for: ${prompt}\n\nReturn ONLY the mermaid code without any markdown code blocks or explanations. Start directly with 'graph' or 'sequenceDiagram' etc.`;
-
-      const response = await this.chat(diagramPrompt, []);
-      
-      // Extract mermaid code
-      let mermaidCode = response.content.trim();
-      
-      // Remove markdown code blocks if present
-      mermaidCode = mermaidCode.replace(/```mermaid\n?/g, '').replace(/```\n?/g, '');
-      
-      logger.info('Diagram generated', { length: mermaidCode.length });
-      return mermaidCode;
-    } catch (error) {
-      logger.error('Diagram generation failed', { error: error.message });
-      throw error;
-    }
-  }
-
-  async generateImage(prompt) {
-    try {
-      // Use Gemini 2.5 Flash Image model from .env (exactly like reference repo)
-      const MODEL_NAME = this.imageModel || 'google/gemini-2.5-flash-image';
-      const OPENROUTER_API_URL = `${this.baseUrl}/chat/completions`;
-      const MAX_PROCESSING_TIME = 60000; // 60 seconds timeout
-      
-      // Prepare message content with text prompt (matching reference repo format exactly)
-      const messageContent = [
-        {
-          type: 'text',
-          text: prompt
-        }
-      ];
-
-      logger.info('Making request to OpenRouter API', { url: OPENROUTER_API_URL, model: MODEL_NAME });
-      
-      const response = await axios.post(
-        OPENROUTER_API_URL,
-        {
-          model: MODEL_NAME,
-          messages: [
-            {
-              role: 'user',
-              content: messageContent
-            }
-          ],
-          timeout: MAX_PROCESSING_TIME
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.apiKey}`,
-            'Content-Type': 'application/json',
-            'HTTP-Referer': process.env.SITE_URL || 'https://jarvis',
-            'X-Title': 'Jarvis'
-          }
-        }
-      );
-
-      logger.info('OpenRouter API Response received', { status: response.status });
-
-      // Extract the response according to OpenRouter/Gemini format (exactly like reference repo)
-      const choice = response.data.choices?.[0];
-      const message = choice?.message;
-      const finishReason = choice?.finish_reason;
-      const generatedImages = message?.images || [];
-      const generatedContent = message?.content;
-
-      logger.info('Response parsed', { 
-        finishReason, 
-        imagesCount: generatedImages.length,
-        hasContent: !!generatedContent 
-      });
-
-      // Check if the response completed successfully
-      if (!finishReason || !['stop', 'length', 'content_filter'].includes(finishReason)) {
-        logger.error('Generation incomplete', { finishReason });
-        throw new Error(`AI generation incomplete. Reason: ${finishReason || 'unknown'}`);
-      }
-
-      // Check if we got generated images (matching reference repo logic)
-      if (generatedImages.length > 0) {
-        logger.info(`Found ${generatedImages.length} generated image(s)`);
-        
-        // Get the first generated image (exactly like reference repo)
-        const firstImage = generatedImages[0];
-        const imageUrl = firstImage.image_url?.url || firstImage;
-        
-        if (!imageUrl) {
-          logger.error('Generated image data is invalid or missing', { firstImage });
-          throw new Error('Generated image data is invalid or missing');
-        }
-
-        logger.info('Image generated successfully', { url: imageUrl.substring(0, 50) + '...' });
-        return imageUrl;
-      }
-
-      // If no images but there's text content
-      if (generatedContent) {
-        logger.warn('No images generated, only text content returned', { content: generatedContent.substring(0, 200) });
-        throw new Error('AI model returned text instead of generating an image');
-      }
-
-      // No images and no content
-      logger.error('No images or content generated', { response: response.data });
-      throw new Error('AI model did not generate any content');
-    } catch (error) {
-      logger.error('Image generation failed', { 
-        error: error.message, 
-        response: error.response?.data,
-        status: error.response?.status
-      });
-      throw error;
-    }
-  }
 }
 
 module.exports = new OpenRouterService();
@@ -0,0 +1,78 @@
+const { desktopCapturer, screen } = require('electron');
+const logger = require('../core/logger').createServiceLogger('SCREEN_CAPTURE');
+
+// Size of the window previews offered when picking a window to capture
+const WINDOW_PREVIEW_SIZE = { width: 320, height: 200 };
+
+// Screenshots for the chat. Only ever runs on an explicit user action (shortcut or button).
+class ScreenCaptureService {
+  // PNG data URL of the display under the cursor, at full resolution
+  async captureScreen() {
+    const { image } = await this.captureDisplay();
+    return image.toDataURL();
+  }
+
+  // { display, image } for the display under the cursor; image is a full resolution NativeImage
+  async captureDisplay() {
+    const display = screen.getDisplayNearestPoint(screen.getCursorScreenPoint());
+    const thumbnailSize = {
+      width: Math.round(display.size.width * display.scaleFactor),
+      height: Math.round(display.size.height * display.scaleFactor)
+    };
+
+    const sources = await desktopCapturer.getSources({ types: ['screen'], thumbnailSize });
+    const source = sources.find(candidate => candidate.display_id === String(display.id)) || sources[0];
+    if (!source || source.thumbnail.isEmpty()) {
+      // macOS returns empty thumbnails until screen recording is allowed
+      throw new Error('Screen capture is unavailable. Check the screen recording permission.');
+    }
+
+    logger.info('Screen captured', { displayId: display.id, ...thumbnailSize });
+    return { display, image: source.thumbnail };
+  }
+
+  // Part of a display capture; rect is in display points (as selected on screen)
+  cropImage(image, display, rect) {
+    const size = image.getSize();
+    const scale = size.width / display.size.width;
+    // Kept inside the capture
+    const x = Math.min(Math.max(0, Math.round(rect.x * scale)), size.width - 1);
+    const y = Math.min(Math.max(0, Math.round(rect.y * scale)), size.height - 1);
+    const cropped = image.crop({
+      x,
+      y,
+      width: Math.max(1, Math.min(Math.round(rect.width * scale), size.width - x)),
+      height: Math.max(1, Math.min(Math.round(rect.height * scale), size.height - y))
+    });
+    logger.info('Screen region captured', cropped.getSize());
+    return cropped.toDataURL();
+  }
+
+  // Open windows with small previews, for the window picker: [{ id, name, preview }]
+  async listWindows() {
+    const sources = await desktopCapturer.getSources({ types: ['window'], thumbnailSize: WINDOW_PREVIEW_SIZE });
+    return sources
+      .filter(source => !source.thumbnail.isEmpty())
+      .map(source => ({ id: source.id, name: source.name, preview: source.thumbnail.toDataURL() }));
+  }
+
+  // PNG data URL of a single window, at (up to) the resolution of the display under the cursor
+  async captureWindow(sourceId) {
+    const display = screen.getDisplayNearestPoint(screen.getCursorScreenPoint());
+    const thumbnailSize = {
+      width: Math.round(display.size.width * display.scaleFactor),
+      height: Math.round(display.size.height * display.scaleFactor)
+    };
+
+    const sources = await desktopCapturer.getSources({ types: ['window'], thumbnailSize });
+    const source = sources.find(candidate => candidate.id === sourceId);
+    if (!source || source.thumbnail.isEmpty()) {
+      throw new Error('The selected window is no longer available');
+    }
+
+    logger.info('Window captured', { name: source.name, ...source.thumbnail.getSize() });
+    return source.thumbnail.toDataURL();
+  }
+}
+
+module.exports = new ScreenCaptureService();
@@ -0,0 +1,81 @@
+const logger = require('../core/logger').createServiceLogger('SPEECH');
+const config = require('../core/config');
+const { createSpeechBackend, createTtsEngine } = require('../speech');
+
+// Longest text synthesized at once (the chat window sends single sentences)
+const MAX_SYNTHESIS_CHARS = 2000;
+
+// Recorded audio (16-bit mono PCM from the chat window's push-to-talk) -> text,
+// through the configured speech-to-text backend, and text -> speech through a local engine
+class SpeechService {
+  // pcm: little-endian 16-bit samples. Partial transcripts (requested while still
+  // recording) are not retried; the final one will cover the same audio anyway
+  async transcribe(pcm, { sampleRate, final = false, signal } = {}) {
+    const backend = createSpeechBackend();
+    if (!backend.isConfigured()) {
+      throw new Error(`Speech input is not set up. ${backend.setupHint}`);
+    }
+
+    const audio = Buffer.from(pcm);
+    if (!Number.isInteger(sampleRate) || sampleRate < 8000 || sampleRate > 48000 || audio.length % 2 !== 0) {
+      throw new Error('Invalid audio');
+    }
+    const durationMs = (audio.length / 2 / sampleRate) * 1000;
+    if (durationMs > config.get('speech.maxRecordingMs') + 5000) {
+      throw new Error('The recording is too long');
+    }
+
+    const startTime = Date.now();
+    const text = await backend.transcribe(encodeWav(audio, sampleRate), {
+      language: config.get('speech.language'),
+      signal,
+      retries: final ? undefined : 0
+    });
+
+    if (final) {
+      logger.info('Speech transcribed', {
+        backend: backend.name,
+        audioMs: Math.round(durationMs),
+        elapsedMs: Date.now() - startTime,
+        chars: text.length
+      });
+    }
+    return text;
+  }
+
+  // WAV audio of a piece of text, with the configured voice and rate
+  async synthesize(text, { signal } = {}) {
+    const { engine: type, voice, rate } = config.get('tts');
+    const engine = createTtsEngine(type);
+    if (!engine.isConfigured()) {
+      throw new Error(`Voice output is not set up. ${engine.setupHint}`);
+    }
+
+    const input = String(text || '').trim().slice(0, MAX_SYNTHESIS_CHARS);
+    if (!input) {
+      throw new Error('Nothing to speak');
+    }
+    return engine.synthesize(input, { voice, rate, signal });
+  }
+}
+
+// 44-byte RIFF header + the samples (mono, 16-bit PCM)
+function encodeWav(pcm, sampleRate) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16); // fmt chunk size
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // Channels
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28); // Byte rate
+  header.writeUInt16LE(2, 32); // Block align
+  header.writeUInt16LE(16, 34); // Bits per sample
+  header.write('data', 36);
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+}
+
+module.exports = new SpeechService();
@@ -0,0 +1,33 @@
+const { runProcess } = require('./run-process');
+
+// eSpeak NG's default speed in words per minute (rate 1)
+const DEFAULT_WORDS_PER_MINUTE = 175;
+
+// eSpeak NG: small and robotic, packaged by most Linux distributions. The text is
+// read from stdin and a WAV file is written to stdout.
+class EspeakEngine {
+  constructor({ binary, timeoutMs }) {
+    this.name = 'espeak';
+    this.binary = binary;
+    this.timeoutMs = timeoutMs;
+  }
+
+  isConfigured() {
+    return !!this.binary;
+  }
+
+  get setupHint() {
+    return 'Install espeak-ng (or set ESPEAK_BINARY).';
+  }
+
+  // voice: an eSpeak voice such as 'en-us' ('' for the default); returns the WAV file as a Buffer
+  synthesize(text, { voice, rate = 1, signal } = {}) {
+    const args = ['--stdout', '--stdin', '-s', String(Math.round(DEFAULT_WORDS_PER_MINUTE * rate))];
+    if (voice) {
+      args.push('-v', voice);
+    }
+    return runProcess(this.binary, args, { name: 'espeak-ng', input: text, timeoutMs: this.timeoutMs, signal });
+  }
+}
+
+module.exports = EspeakEngine;
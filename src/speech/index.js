@@ -0,0 +1,68 @@
+const logger = require('../core/logger').createServiceLogger('SPEECH');
+const config = require('../core/config');
+const WhisperCppBackend = require('./whisper-cpp.backend');
+const OpenAICompatibleSpeechBackend = require('./openai-compatible.backend');
+const PiperEngine = require('./piper.engine');
+const EspeakEngine = require('./espeak.engine');
+
+// Speech-to-text backend type -> implementation and its settings key in config.speech
+const registry = {
+  'whisper-cpp': { Backend: WhisperCppBackend, configKey: 'whisperCpp' },
+  'openai-compatible': { Backend: OpenAICompatibleSpeechBackend, configKey: 'openaiCompatible' }
+};
+
+// Text-to-speech engines run by the main process -> implementation and its settings key in
+// config.tts. 'web-speech' (the system voices) is played by the chat window itself
+const ttsRegistry = {
+  'piper': { Engine: PiperEngine, configKey: 'piper' },
+  'espeak': { Engine: EspeakEngine, configKey: 'espeak' }
+};
+
+const instances = new Map();
+const ttsInstances = new Map();
+
+function createSpeechBackend(type = config.get('speech.backend')) {
+  if (instances.has(type)) {
+    return instances.get(type);
+  }
+
+  const entry = registry[type];
+  if (!entry) {
+    throw new Error(`Unknown speech backend "${type}". Expected one of: ${Object.keys(registry).join(', ')}`);
+  }
+
+  const backend = new entry.Backend(config.get(`speech.${entry.configKey}`));
+  logger.info('Speech backend created', { type });
+  instances.set(type, backend);
+  return backend;
+}
+
+function createTtsEngine(type = config.get('tts.engine')) {
+  if (ttsInstances.has(type)) {
+    return ttsInstances.get(type);
+  }
+
+  const entry = ttsRegistry[type];
+  if (!entry) {
+    throw new Error(`Unknown speech engine "${type}". Expected one of: ${Object.keys(ttsRegistry).join(', ')}`);
+  }
+
+  const engine = new entry.Engine({ ...config.get(`tts.${entry.configKey}`), timeoutMs: config.get('tts.timeoutMs') });
+  logger.info('Speech engine created', { type });
+  ttsInstances.set(type, engine);
+  return engine;
+}
+
+// Drop cached instances so the next createSpeechBackend()/createTtsEngine() picks up changed settings
+function resetSpeechBackends() {
+  instances.clear();
+  ttsInstances.clear();
+}
+
+module.exports = {
+  createSpeechBackend,
+  createTtsEngine,
+  resetSpeechBackends,
+  speechBackendTypes: Object.keys(registry),
+  ttsEngineTypes: ['web-speech', ...Object.keys(ttsRegistry)]
+};
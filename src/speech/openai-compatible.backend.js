@@ -0,0 +1,37 @@
+const httpClient = require('../core/http-client');
+
+// OpenAI-style POST /audio/transcriptions: OpenAI, Groq, or a local whisper server
+class OpenAICompatibleSpeechBackend {
+  constructor({ apiKey, baseUrl, model }) {
+    this.name = 'openai-compatible';
+    this.apiKey = apiKey;
+    this.baseUrl = (baseUrl || '').replace(/\/+$/, '');
+    this.model = model;
+  }
+
+  // Local servers usually run without an API key
+  isConfigured() {
+    return !!this.baseUrl;
+  }
+
+  get setupHint() {
+    return 'Set STT_BASE_URL (and STT_API_KEY if the endpoint needs one).';
+  }
+
+  // wav: Buffer holding a 16 kHz mono WAV file
+  async transcribe(wav, { language, signal, retries } = {}) {
+    const form = new FormData();
+    form.append('file', new Blob([wav], { type: 'audio/wav' }), 'speech.wav');
+    form.append('model', this.model);
+    form.append('response_format', 'json');
+    if (language) {
+      form.append('language', language);
+    }
+
+    const headers = this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+    const response = await httpClient.post(`${this.baseUrl}/audio/transcriptions`, form, { headers, signal, retries });
+    return (response.data?.text || '').trim();
+  }
+}
+
+module.exports = OpenAICompatibleSpeechBackend;
@@ -0,0 +1,42 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { runProcess } = require('./run-process');
+
+// Piper: fast local neural voices (an .onnx voice model with its .onnx.json next to it).
+// The text is read from stdin and the audio written to a temporary WAV file.
+class PiperEngine {
+  constructor({ binary, model, timeoutMs }) {
+    this.name = 'piper';
+    this.binary = binary;
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+  }
+
+  isConfigured() {
+    return !!(this.binary && this.model);
+  }
+
+  get setupHint() {
+    return 'Set PIPER_MODEL to a voice model (.onnx) file (and PIPER_BINARY if piper is not on the PATH).';
+  }
+
+  // voice: speaker id for multi-speaker models ('' for the default); returns the WAV file as a Buffer
+  async synthesize(text, { voice, rate = 1, signal } = {}) {
+    const file = path.join(os.tmpdir(), `jarvis-voice-${crypto.randomUUID()}.wav`);
+    const args = ['--model', this.model, '--output_file', file, '--length_scale', String(1 / rate)];
+    if (/^\d+$/.test(voice || '')) {
+      args.push('--speaker', voice);
+    }
+
+    try {
+      await runProcess(this.binary, args, { name: 'piper', input: text, timeoutMs: this.timeoutMs, signal });
+      return await fs.promises.readFile(file);
+    } finally {
+      fs.promises.rm(file, { force: true }).catch(() => {});
+    }
+  }
+}
+
+module.exports = PiperEngine;
@@ -0,0 +1,55 @@
+const { spawn } = require('child_process');
+
+// Run a local speech engine and collect its stdout. input is written to stdin;
+// errors name the engine and carry the last line of stderr (usually the actual problem)
+function runProcess(binary, args, { name = binary, input, timeoutMs, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    let child;
+    try {
+      child = spawn(binary, args, { signal, timeout: timeoutMs, windowsHide: true });
+    } catch (error) {
+      reject(new Error(`${name} could not be started: ${error.message}`));
+      return;
+    }
+
+    const stdout = [];
+    let stderr = '';
+    let timedOut = false;
+    child.stdout.on('data', data => stdout.push(data));
+    child.stderr.on('data', data => {
+      stderr += data;
+    });
+
+    child.on('error', (error) => {
+      if (error.code === 'ENOENT') {
+        reject(new Error(`${name} was not found at "${binary}"`));
+      } else {
+        reject(signal?.aborted ? error : new Error(`${name} failed: ${error.message}`));
+      }
+    });
+
+    child.on('exit', (code, exitSignal) => {
+      if (exitSignal === 'SIGTERM' && !signal?.aborted && timeoutMs) {
+        timedOut = true;
+      }
+    });
+
+    child.on('close', (code) => {
+      if (code === 0) {
+        resolve(Buffer.concat(stdout));
+      } else if (timedOut) {
+        reject(new Error(`${name} did not finish within ${Math.ceil(timeoutMs / 1000)} seconds`));
+      } else if (!signal?.aborted) {
+        const detail = stderr.trim().split('\n').pop() || `exit code ${code}`;
+        reject(new Error(`${name} failed: ${detail}`));
+      }
+    });
+
+    if (input !== undefined) {
+      child.stdin.on('error', () => {}); // The engine may exit before reading everything
+      child.stdin.end(input);
+    }
+  });
+}
+
+module.exports = { runProcess };
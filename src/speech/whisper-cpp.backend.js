@@ -0,0 +1,44 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { runProcess } = require('./run-process');
+
+// Noise markers whisper prints instead of speech
+const NON_SPEECH_PATTERN = /\[(?:BLANK_AUDIO|MUSIC|NOISE|SILENCE)\]|\((?:silence|music|noise)\)/gi;
+
+// Local whisper.cpp command line (whisper-cli, or `main` in older builds). The audio
+// is written to a temporary WAV file and the transcript is read from stdout.
+class WhisperCppBackend {
+  constructor({ binary, model, threads, timeoutMs }) {
+    this.name = 'whisper-cpp';
+    this.binary = binary;
+    this.model = model;
+    this.threads = threads;
+    this.timeoutMs = timeoutMs;
+  }
+
+  isConfigured() {
+    return !!(this.binary && this.model);
+  }
+
+  get setupHint() {
+    return 'Set WHISPER_CPP_MODEL to a ggml model file (and WHISPER_CPP_BINARY if whisper-cli is not on the PATH).';
+  }
+
+  // wav: Buffer holding a 16 kHz mono WAV file
+  async transcribe(wav, { language, signal } = {}) {
+    const file = path.join(os.tmpdir(), `jarvis-speech-${crypto.randomUUID()}.wav`);
+    await fs.promises.writeFile(file, wav);
+
+    const args = ['-m', this.model, '-f', file, '-l', language || 'auto', '-t', String(this.threads), '-nt', '-np'];
+    try {
+      const stdout = await runProcess(this.binary, args, { name: 'whisper.cpp', timeoutMs: this.timeoutMs, signal });
+      return stdout.toString('utf8').replace(NON_SPEECH_PATTERN, ' ').replace(/\s+/g, ' ').trim();
+    } finally {
+      fs.promises.rm(file, { force: true }).catch(() => {});
+    }
+  }
+}
+
+module.exports = WhisperCppBackend;
@@ -0,0 +1,172 @@
+// Layout engine for positioned elements
+// Model-supplied positions (percentages) are treated as hints: each element is
+// measured after it renders, moved to the closest free spot to its hint and kept
+// inside the viewport. Everything is reflowed when the window is resized.
+// Elements the user moved by hand are locked: they stay where they were dropped
+// (only clamped to the viewport) and the others flow around them.
+
+class LayoutEngine {
+  constructor({ margin = 20, gap = 16, bottomReserve = 110, gridStep = 20 } = {}) {
+    this.margin = margin; // Distance kept from the viewport edges
+    this.gap = gap; // Minimum spacing between elements
+    this.bottomReserve = bottomReserve; // Space kept free for the input area
+    this.gridStep = gridStep; // Resolution of the candidate position search
+    this.items = []; // { element, hint, locked } in insertion order
+
+    this.resizeObserver = new ResizeObserver(entries => {
+      entries.forEach(entry => this.scheduleUpdate(entry.target));
+    });
+    this.pendingUpdates = new Set();
+
+    window.addEventListener('resize', () => this.relayout());
+  }
+
+  // Start managing an element already appended to the DOM
+  add(element, hint, { locked = false } = {}) {
+    this.items.push({ element, hint: this.normalizeHint(hint), locked });
+    this.place(element);
+    this.resizeObserver.observe(element);
+  }
+
+  // Fix an element at a user-chosen pixel position (after a drag)
+  lock(element, { left, top }) {
+    const item = this.items.find(entry => entry.element === element);
+    if (!item) return;
+
+    item.locked = true;
+    item.hint = {
+      x: (left / window.innerWidth) * 100,
+      y: (top / window.innerHeight) * 100
+    };
+    this.place(element);
+  }
+
+  // Current hint (percentages) and lock state, for persisting the arrangement
+  getPlacement(element) {
+    const item = this.items.find(entry => entry.element === element);
+    return item ? { position: { ...item.hint }, locked: item.locked } : null;
+  }
+
+  remove(element) {
+    this.resizeObserver.unobserve(element);
+    this.pendingUpdates.delete(element);
+    this.items = this.items.filter(item => item.element !== element);
+  }
+
+  clear() {
+    this.items.forEach(({ element }) => this.resizeObserver.unobserve(element));
+    this.items = [];
+    this.pendingUpdates.clear();
+  }
+
+  // Re-place every element (e.g. after a window resize); locked elements first
+  // so the others flow around them
+  relayout() {
+    const placed = [];
+    const ordered = [
+      ...this.items.filter(item => item.locked),
+      ...this.items.filter(item => !item.locked)
+    ];
+    ordered.forEach(item => {
+      this.place(item.element, placed);
+      placed.push(item);
+    });
+  }
+
+  // Coalesce size changes (image loads, font swaps) into one update per frame
+  scheduleUpdate(element) {
+    if (this.pendingUpdates.size === 0) {
+      requestAnimationFrame(() => {
+        const elements = [...this.pendingUpdates];
+        this.pendingUpdates.clear();
+        elements.forEach(el => this.place(el));
+      });
+    }
+    this.pendingUpdates.add(element);
+  }
+
+  place(element, others) {
+    const item = this.items.find(entry => entry.element === element);
+    if (!item) return;
+
+    const bounds = this.getBounds();
+    const placedItems = (others || this.items).filter(entry => entry.element !== element);
+    const obstacles = placedItems.map(entry => this.getRect(entry.element));
+
+    // Cap the size so an element can never be larger than the usable area
+    element.style.maxHeight = `${bounds.bottom - bounds.top}px`;
+    const width = Math.min(element.offsetWidth, bounds.right - bounds.left);
+    const height = Math.min(element.offsetHeight, bounds.bottom - bounds.top);
+
+    const preferred = this.clampToBounds({
+      left: (item.hint.x / 100) * window.innerWidth,
+      top: (item.hint.y / 100) * window.innerHeight
+    }, width, height, bounds);
+
+    const position = item.locked
+      ? preferred
+      : this.findFreePosition(preferred, width, height, bounds, obstacles);
+    element.style.left = `${position.left}px`;
+    element.style.top = `${position.top}px`;
+  }
+
+  findFreePosition(preferred, width, height, bounds, obstacles) {
+    if (this.overlapArea({ ...preferred, width, height }, obstacles) === 0) {
+      return preferred;
+    }
+
+    let best = null;
+    for (let top = bounds.top; top + height <= bounds.bottom; top += this.gridStep) {
+      for (let left = bounds.left; left + width <= bounds.right; left += this.gridStep) {
+        const overlap = this.overlapArea({ left, top, width, height }, obstacles);
+        const distance = Math.hypot(left - preferred.left, top - preferred.top);
+
+        // Prefer no overlap, then the closest spot to the hint
+        if (!best || overlap < best.overlap || (overlap === best.overlap && distance < best.distance)) {
+          best = { left, top, overlap, distance };
+        }
+      }
+    }
+
+    return best ? { left: best.left, top: best.top } : preferred;
+  }
+
+  overlapArea(rect, obstacles) {
+    return obstacles.reduce((total, other) => {
+      const overlapX = Math.min(rect.left + rect.width, other.left + other.width + this.gap) - Math.max(rect.left, other.left - this.gap);
+      const overlapY = Math.min(rect.top + rect.height, other.top + other.height + this.gap) - Math.max(rect.top, other.top - this.gap);
+      return total + (overlapX > 0 && overlapY > 0 ? overlapX * overlapY : 0);
+    }, 0);
+  }
+
+  clampToBounds({ left, top }, width, height, bounds) {
+    return {
+      left: Math.max(bounds.left, Math.min(left, bounds.right - width)),
+      top: Math.max(bounds.top, Math.min(top, bounds.bottom - height))
+    };
+  }
+
+  // Layout rect ignoring the entrance animation transform
+  getRect(element) {
+    return {
+      left: parseFloat(element.style.left) || 0,
+      top: parseFloat(element.style.top) || 0,
+      width: element.offsetWidth,
+      height: element.offsetHeight
+    };
+  }
+
+  getBounds() {
+    return {
+      left: this.margin,
+      top: this.margin,
+      right: window.innerWidth - this.margin,
+      bottom: window.innerHeight - this.bottomReserve
+    };
+  }
+
+  normalizeHint(hint) {
+    const valid = hint && typeof hint.x === 'number' && typeof hint.y === 'number';
+    return valid ? { x: hint.x, y: hint.y } : { x: 50, y: 50 };
+  }
+}
@@ -0,0 +1,228 @@
+// Markdown rendering for chat messages and positioned text
+// Model output is parsed with marked and sanitised with DOMPurify before it is
+// inserted. Code blocks are highlighted and get a copy button, ```mermaid fences
+// become diagrams and $...$ / $$...$$ (or \( \) / \[ \]) is typeset with KaTeX.
+// While a response streams, text before the last blank line outside a code fence
+// or math block is complete: it is rendered once and kept, and only the block
+// still being written is re-parsed as chunks arrive.
+
+let markdownDiagramCount = 0;
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function renderMath(text, displayMode) {
+  try {
+    return katex.renderToString(text, { displayMode, throwOnError: false });
+  } catch (error) {
+    return `<code>${escapeHtml(text)}</code>`;
+  }
+}
+
+// Highlighted code with a header naming the language and a copy button
+// (also used for code snippets placed on the canvas)
+function renderCodeBlock(text, language) {
+  const highlighted = hljs.getLanguage(language)
+    ? hljs.highlight(text, { language, ignoreIllegals: true }).value
+    : escapeHtml(text);
+  return '<div class="code-block">'
+    + `<div class="code-header"><span>${escapeHtml(language)}</span><button class="copy-code-btn" type="button">Copy</button></div>`
+    + `<pre><code class="hljs">${highlighted}</code></pre>`
+    + '</div>';
+}
+
+const markdownParser = new marked.Marked({
+  gfm: true,
+  breaks: true,
+  renderer: {
+    code({ text, lang }) {
+      const language = (lang || '').trim().split(/\s+/)[0].toLowerCase();
+      // Rendered as a diagram once the block is complete (see renderDiagrams)
+      if (language === 'mermaid') {
+        return `<pre class="markdown-mermaid"><code>${escapeHtml(text)}</code></pre>`;
+      }
+      return renderCodeBlock(text, language);
+    }
+  },
+  extensions: [
+    {
+      name: 'mathBlock',
+      level: 'block',
+      start: (src) => src.match(/^(?:\$\$|\\\[)/m)?.index,
+      tokenizer(src) {
+        const match = /^(?:\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\])[ \t]*(?:\n|$)/.exec(src);
+        if (match) {
+          return { type: 'mathBlock', raw: match[0], text: (match[1] ?? match[2]).trim() };
+        }
+      },
+      renderer: (token) => `<div class="math-block">${renderMath(token.text, true)}</div>`
+    },
+    {
+      name: 'mathInline',
+      level: 'inline',
+      start: (src) => src.match(/\$|\\\(/)?.index,
+      tokenizer(src) {
+        // "$5 and $10" is not math: no space inside the dollars, no digit right after
+        const match = /^\$(?!\s)((?:\\.|[^\\$\n])+?)(?<!\s)\$(?!\d)|^\\\(((?:\\.|[^\n])+?)\\\)/.exec(src);
+        if (match) {
+          return { type: 'mathInline', raw: match[0], text: match[1] ?? match[2] };
+        }
+      },
+      renderer: (token) => renderMath(token.text, false)
+    }
+  ]
+});
+
+// Links open in the default browser (the main process denies in-app navigation)
+DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+  if (node.tagName === 'A' && node.hasAttribute('href')) {
+    node.setAttribute('target', '_blank');
+    node.setAttribute('rel', 'noopener noreferrer');
+  }
+});
+
+// Sanitised DOM for a piece of Markdown
+function parseMarkdown(text) {
+  const template = document.createElement('template');
+  template.innerHTML = DOMPurify.sanitize(markdownParser.parse(text), { ADD_ATTR: ['target'] });
+  return template.content;
+}
+
+// Replace the mermaid fences in a fragment (before it is inserted) with diagrams
+function renderDiagrams(fragment) {
+  fragment.querySelectorAll('.markdown-mermaid').forEach(async (block) => {
+    try {
+      const { svg } = await mermaid.render(`markdown-diagram-${++markdownDiagramCount}`, block.textContent);
+      const container = document.createElement('div');
+      container.className = 'diagram-container';
+      container.innerHTML = svg;
+      block.replaceWith(container);
+    } catch (error) {
+      // Invalid diagrams stay readable as code
+      block.classList.add('invalid');
+      block.title = `Failed to render diagram: ${error.message}`;
+    }
+  });
+}
+
+// Render a complete Markdown text into a container, replacing its content
+function renderMarkdown(container, text) {
+  const fragment = parseMarkdown(text);
+  renderDiagrams(fragment);
+  container.classList.add('markdown-body');
+  container.replaceChildren(fragment);
+}
+
+// Incremental rendering of a streamed Markdown text into a container.
+// onRender runs after the container changed (e.g. to keep it scrolled)
+class MarkdownStream {
+  constructor(container, { onRender } = {}) {
+    this.container = container;
+    this.onRender = onRender;
+    this.text = ''; // Everything received so far
+    this.pending = ''; // Text after the last completed block
+    this.renderScheduled = false;
+
+    this.tail = document.createElement('div');
+    this.tail.className = 'markdown-tail';
+    container.classList.add('markdown-body');
+    container.replaceChildren(this.tail);
+  }
+
+  append(chunk) {
+    this.text += chunk;
+    this.pending += chunk;
+
+    const boundary = this.findBlockBoundary(this.pending);
+    if (boundary > 0) {
+      this.commit(this.pending.slice(0, boundary));
+      this.pending = this.pending.slice(boundary);
+    }
+    this.scheduleTailRender();
+  }
+
+  // Render whatever is left as complete Markdown (the stream ended or was stopped)
+  finish() {
+    if (this.pending) {
+      this.commit(this.pending);
+      this.pending = '';
+    }
+    this.tail.remove();
+    this.onRender?.();
+  }
+
+  // Offset just after the last blank line outside code fences and math blocks,
+  // considering complete lines only; 0 when no block is complete yet
+  findBlockBoundary(text) {
+    const lines = text.split('\n');
+    lines.pop(); // Still being written
+
+    let fence = null; // Opening ``` or ~~~ of the code block we are in
+    let inMath = false;
+    let offset = 0;
+    let boundary = 0;
+    for (const line of lines) {
+      offset += line.length + 1;
+      const trimmed = line.trim();
+      const fenceMatch = /^(`{3,}|~{3,})/.exec(trimmed);
+
+      if (fence) {
+        if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length && trimmed === fenceMatch[1]) {
+          fence = null;
+        }
+      } else if (fenceMatch && !inMath) {
+        fence = fenceMatch[1];
+      } else if (inMath) {
+        if (trimmed.endsWith('$$') || trimmed.endsWith('\\]')) inMath = false;
+      } else if (/^(?:\$\$|\\\[)/.test(trimmed)) {
+        // A one-line $$...$$ opens and closes on the same line
+        const closed = trimmed.length > 2 && (trimmed.endsWith('$$') || trimmed.endsWith('\\]'));
+        inMath = !closed;
+      } else if (trimmed === '') {
+        boundary = offset;
+      }
+    }
+    return boundary;
+  }
+
+  commit(text) {
+    const fragment = parseMarkdown(text);
+    renderDiagrams(fragment);
+    this.container.insertBefore(fragment, this.tail);
+  }
+
+  // The unfinished block is re-parsed at most once per frame
+  scheduleTailRender() {
+    if (this.renderScheduled) return;
+    this.renderScheduled = true;
+    requestAnimationFrame(() => {
+      this.renderScheduled = false;
+      if (!this.tail.isConnected) return;
+      this.tail.replaceChildren(parseMarkdown(this.pending));
+      this.onRender?.();
+    });
+  }
+}
+
+// Copy buttons of highlighted code blocks
+document.addEventListener('click', async (e) => {
+  const button = e.target.closest('.copy-code-btn');
+  if (!button) return;
+
+  e.stopPropagation();
+  const code = button.closest('.code-block')?.querySelector('code');
+  try {
+    await navigator.clipboard.writeText(code?.textContent || '');
+    button.textContent = 'Copied';
+  } catch (error) {
+    button.textContent = 'Copy failed';
+  }
+  setTimeout(() => {
+    button.textContent = 'Copy';
+  }, 1500);
+});
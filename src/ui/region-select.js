@@ -0,0 +1,108 @@
+// Region selector shown over a screenshot of the display: drag a rectangle,
+// pick a window, or take the whole screen. The selection is in window
+// coordinates, which match the display's points since the window covers it.
+const screenshot = document.getElementById('screenshot');
+const dim = document.getElementById('dim');
+const selection = document.getElementById('selection');
+const selectionSize = document.getElementById('selectionSize');
+const toolbar = document.getElementById('toolbar');
+const windowList = document.getElementById('windowList');
+const windowsBtn = document.getElementById('windowsBtn');
+
+// Smaller drags are treated as accidental clicks
+const MIN_SELECTION_SIZE = 5;
+
+let dragStart = null;
+
+function finish(result) {
+  window.electronAPI.finishRegionSelect(result);
+}
+
+async function loadCapture() {
+  const data = await window.electronAPI.getRegionSelectData();
+  if (!data) {
+    finish(null);
+    return;
+  }
+
+  screenshot.src = data.screenshot;
+  windowsBtn.disabled = data.windows.length === 0;
+  data.windows.forEach(({ id, name, preview }) => {
+    const item = document.createElement('button');
+    item.className = 'window-item';
+    item.title = name;
+
+    const img = document.createElement('img');
+    img.src = preview;
+    img.alt = '';
+    const label = document.createElement('span');
+    label.textContent = name;
+
+    item.append(img, label);
+    item.addEventListener('click', () => finish({ type: 'window', id }));
+    windowList.appendChild(item);
+  });
+}
+
+function getSelectionRect(e) {
+  return {
+    x: Math.min(dragStart.x, e.clientX),
+    y: Math.min(dragStart.y, e.clientY),
+    width: Math.abs(e.clientX - dragStart.x),
+    height: Math.abs(e.clientY - dragStart.y)
+  };
+}
+
+document.addEventListener('pointerdown', (e) => {
+  if (e.button !== 0 || e.target.closest('.toolbar, .window-list')) return;
+
+  windowList.hidden = true;
+  dragStart = { x: e.clientX, y: e.clientY };
+  document.body.setPointerCapture(e.pointerId);
+});
+
+document.addEventListener('pointermove', (e) => {
+  if (!dragStart) return;
+
+  const rect = getSelectionRect(e);
+  Object.assign(selection.style, {
+    left: `${rect.x}px`,
+    top: `${rect.y}px`,
+    width: `${rect.width}px`,
+    height: `${rect.height}px`
+  });
+  selectionSize.textContent = `${Math.round(rect.width)} × ${Math.round(rect.height)}`;
+  selection.hidden = false;
+  dim.hidden = true;
+  toolbar.hidden = true;
+});
+
+document.addEventListener('pointerup', (e) => {
+  if (!dragStart) return;
+
+  const rect = getSelectionRect(e);
+  dragStart = null;
+  if (rect.width >= MIN_SELECTION_SIZE && rect.height >= MIN_SELECTION_SIZE) {
+    finish({ type: 'region', rect });
+  } else {
+    selection.hidden = true;
+    dim.hidden = false;
+    toolbar.hidden = false;
+  }
+});
+
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') {
+    finish(null);
+  } else if (e.key === 'Enter') {
+    finish({ type: 'screen' });
+  }
+});
+
+document.getElementById('fullScreenBtn').addEventListener('click', () => finish({ type: 'screen' }));
+document.getElementById('cancelBtn').addEventListener('click', () => finish(null));
+windowsBtn.addEventListener('click', () => {
+  windowList.hidden = !windowList.hidden;
+});
+
+loadCapture();
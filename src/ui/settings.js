@@ -0,0 +1,247 @@
+const settingsForm = document.getElementById('settingsForm');
+const statusText = document.getElementById('status');
+const saveBtn = document.getElementById('saveBtn');
+const resetBtn = document.getElementById('resetBtn');
+const cancelBtn = document.getElementById('cancelBtn');
+const shortcutFields = document.getElementById('shortcutFields');
+const modelOptions = document.getElementById('modelOptions');
+const voiceOptions = document.getElementById('voiceOptions');
+
+const THEME_LABELS = { dark: 'Dark', light: 'Light', system: 'Follow system' };
+const SPEECH_BACKEND_LABELS = { 'whisper-cpp': 'whisper.cpp (local)', 'openai-compatible': 'OpenAI-compatible endpoint' };
+const TTS_ENGINE_LABELS = { 'web-speech': 'System voices', 'piper': 'Piper (local)', 'espeak': 'eSpeak NG (local)' };
+
+let settingPaths = [];
+
+async function loadSettings() {
+  const { values, defaults, options, shortcutFailures } = await window.electronAPI.getSettings();
+  settingPaths = Object.keys(values);
+
+  fillOptions(options);
+  createShortcutFields(options.shortcutActions);
+  settingPaths.forEach(key => {
+    const input = document.getElementById(key);
+    if (!input) return;
+    if (input.type === 'checkbox') {
+      input.checked = !!values[key];
+      return;
+    }
+    input.value = values[key] ?? '';
+    if (input.tagName === 'INPUT') {
+      input.placeholder = defaults[key] === '' ? 'Not set' : String(defaults[key] ?? '');
+    }
+  });
+  showShortcutFailures(shortcutFailures);
+}
+
+// Suggestions for the chat model field (the provider's list, or the offline fallback)
+async function loadModelOptions() {
+  const result = await window.electronAPI.listModels();
+  if (!result.success) return;
+
+  modelOptions.innerHTML = '';
+  result.models.forEach(({ id, name }) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.label = name;
+    modelOptions.appendChild(option);
+  });
+}
+
+// Suggestions for the voice field: the system voices (used by the 'web-speech' engine)
+function loadVoiceOptions() {
+  voiceOptions.innerHTML = '';
+  speechSynthesis.getVoices().forEach(({ name, lang }) => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.label = lang;
+    voiceOptions.appendChild(option);
+  });
+}
+
+function createShortcutFields(actions) {
+  if (shortcutFields.childElementCount > 0) return;
+
+  Object.entries(actions).forEach(([action, label]) => {
+    const field = document.createElement('div');
+    field.className = 'field';
+
+    const labelElement = document.createElement('label');
+    labelElement.htmlFor = `shortcuts.${action}`;
+    labelElement.textContent = label;
+
+    const input = document.createElement('input');
+    input.id = `shortcuts.${action}`;
+    input.type = 'text';
+    input.readOnly = true;
+    input.className = 'shortcut-input';
+    input.addEventListener('keydown', (e) => recordShortcut(input, e));
+
+    const error = document.createElement('div');
+    error.className = 'field-error';
+
+    field.append(labelElement, input, error);
+    shortcutFields.appendChild(field);
+  });
+}
+
+// Shortcuts that are saved but could not be registered
+function showShortcutFailures(failures = []) {
+  showIssues(failures.map(({ action, error }) => ({ path: `shortcuts.${action}`, message: error })));
+}
+
+function fillOptions(options) {
+  const choices = {
+    providers: options.providers.map(name => ({ value: name, label: name })),
+    outputPolicies: options.outputPolicies.map(({ name, label }) => ({ value: name, label })),
+    themes: options.themes.map(name => ({ value: name, label: THEME_LABELS[name] || name })),
+    speechBackends: options.speechBackends.map(name => ({ value: name, label: SPEECH_BACKEND_LABELS[name] || name })),
+    ttsEngines: options.ttsEngines.map(name => ({ value: name, label: TTS_ENGINE_LABELS[name] || name }))
+  };
+
+  settingsForm.querySelectorAll('select[data-options]').forEach(select => {
+    select.innerHTML = '';
+    choices[select.dataset.options].forEach(({ value, label }) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+  });
+}
+
+// Form fields -> nested settings object ({ ai: { model }, windows: { overlay: { width } }, ... })
+function collectSettings() {
+  const settings = {};
+  settingPaths.forEach(key => {
+    const input = document.getElementById(key);
+    if (!input) return;
+
+    let value = input.value.trim();
+    if (input.type === 'number') {
+      value = Number(input.value);
+    } else if (input.type === 'checkbox') {
+      value = input.checked;
+    }
+    const parts = key.split('.');
+    const last = parts.pop();
+    const target = parts.reduce((obj, part) => (obj[part] = obj[part] || {}), settings);
+    target[last] = value;
+  });
+  return settings;
+}
+
+function setStatus(message, type = '') {
+  statusText.textContent = message;
+  statusText.className = `status ${type}`;
+}
+
+function clearErrors() {
+  settingsForm.querySelectorAll('.field').forEach(field => field.classList.remove('invalid'));
+  settingsForm.querySelectorAll('.field-error').forEach(error => {
+    error.textContent = '';
+  });
+}
+
+function showIssues(issues) {
+  issues.forEach(({ path, message }) => {
+    const input = document.getElementById(path);
+    const field = input?.closest('.field');
+    if (!field) return;
+
+    field.classList.add('invalid');
+    const error = field.querySelector('.field-error');
+    error.textContent = error.textContent ? `${error.textContent}; ${message}` : message;
+  });
+}
+
+async function saveSettings() {
+  clearErrors();
+  saveBtn.disabled = true;
+
+  try {
+    const result = await window.electronAPI.saveSettings(collectSettings());
+    if (result.success) {
+      showShortcutFailures(result.shortcutFailures);
+      if (result.shortcutFailures?.length > 0) {
+        setStatus('Settings saved, but some shortcuts could not be registered', 'error');
+      } else {
+        setStatus(result.changed.length > 0 ? 'Settings saved and applied' : 'No changes', 'success');
+      }
+    } else {
+      showIssues(result.issues || []);
+      setStatus(result.error, 'error');
+    }
+  } finally {
+    saveBtn.disabled = false;
+  }
+}
+
+async function resetSettings() {
+  if (!confirm('Reset all settings to their defaults?')) return;
+
+  clearErrors();
+  const result = await window.electronAPI.resetSettings();
+  if (result.success) {
+    await loadSettings();
+    setStatus('Settings reset to defaults', 'success');
+  } else {
+    setStatus(result.error, 'error');
+  }
+}
+
+// Key event -> Electron accelerator ("CommandOrControl+Shift+V"); null while only modifiers are held
+function toAccelerator(e) {
+  // Letters and digits by physical key, so Shift+2 stays "Shift+2" rather than "Shift+@"
+  const key = /^(?:Key|Digit)(.)$/.exec(e.code)?.[1] || {
+    ' ': 'Space',
+    '+': 'Plus',
+    ArrowUp: 'Up',
+    ArrowDown: 'Down',
+    ArrowLeft: 'Left',
+    ArrowRight: 'Right',
+    Escape: 'Escape',
+    Enter: 'Return'
+  }[e.key] || (e.key.length === 1 ? e.key.toUpperCase() : e.key);
+
+  if (['Control', 'Meta', 'Alt', 'Shift', 'AltGraph'].includes(key)) return null;
+
+  const modifiers = [];
+  if (e.metaKey || e.ctrlKey) modifiers.push('CommandOrControl');
+  if (e.altKey) modifiers.push('Alt');
+  if (e.shiftKey) modifiers.push('Shift');
+  return [...modifiers, key].join('+');
+}
+
+function recordShortcut(input, e) {
+  if (e.key === 'Tab') return;
+  e.preventDefault();
+
+  if ((e.key === 'Backspace' || e.key === 'Delete') && !e.metaKey && !e.ctrlKey && !e.altKey && !e.shiftKey) {
+    input.value = '';
+    return;
+  }
+
+  const accelerator = toAccelerator(e);
+  if (accelerator) {
+    input.value = accelerator;
+  }
+}
+
+saveBtn.addEventListener('click', () => saveSettings());
+resetBtn.addEventListener('click', () => resetSettings());
+cancelBtn.addEventListener('click', () => window.close());
+
+document.addEventListener('keydown', (e) => {
+  if ((e.metaKey || e.ctrlKey) && e.key === 's') {
+    e.preventDefault();
+    saveSettings();
+  } else if (e.key === 'Escape' && !e.target.classList.contains('shortcut-input')) {
+    window.close();
+  }
+});
+
+loadSettings();
+loadModelOptions();
+loadVoiceOptions();
+speechSynthesis.addEventListener('voiceschanged', loadVoiceOptions);
@@ -0,0 +1,158 @@
+// Push-to-talk recording for the chat input. The microphone is captured as 16 kHz
+// mono PCM; while recording, the audio added since the previous partial is transcribed
+// every partialIntervalMs and the pieces are joined into a live transcript (so each
+// second of audio is sent once), then the whole recording is transcribed once when it stops.
+
+const SPEECH_SAMPLE_RATE = 16000;
+// Shorter recordings are treated as accidental presses
+const MIN_SPEECH_MS = 300;
+
+// onTranscript(text, { final }) receives the transcript of the whole recording so far,
+// onStateChange(state) 'idle' | 'recording' | 'transcribing', onError(message)
+class SpeechInput {
+  constructor({ onTranscript, onStateChange, onError }) {
+    this.onTranscript = onTranscript;
+    this.onStateChange = onStateChange;
+    this.onError = onError;
+    this.settings = { partialIntervalMs: 1500, maxRecordingMs: 120000 };
+    this.state = 'idle';
+    this.recordingId = 0;
+    this.partialInFlight = false;
+  }
+
+  configure(settings) {
+    this.settings = { ...this.settings, ...settings };
+  }
+
+  setState(state) {
+    this.state = state;
+    this.onStateChange(state);
+  }
+
+  async start() {
+    if (this.state !== 'idle' || this.starting) return;
+    this.starting = true;
+    this.stopRequested = false;
+
+    try {
+      if (!(await window.electronAPI.requestMicrophoneAccess())) {
+        throw new Error('Microphone access was denied');
+      }
+      this.stream = await navigator.mediaDevices.getUserMedia({
+        audio: { channelCount: 1, echoCancellation: true, noiseSuppression: true }
+      });
+    } catch (error) {
+      this.onError(`Microphone unavailable: ${error.message}`);
+      return;
+    } finally {
+      this.starting = false;
+    }
+    // Released before the microphone was ready
+    if (this.stopRequested) {
+      this.stream.getTracks().forEach(track => track.stop());
+      return;
+    }
+
+    // The context resamples the microphone to the rate speech models expect.
+    // ScriptProcessor keeps this to one file (an AudioWorklet needs its own module)
+    this.context = new AudioContext({ sampleRate: SPEECH_SAMPLE_RATE });
+    this.source = this.context.createMediaStreamSource(this.stream);
+    this.processor = this.context.createScriptProcessor(4096, 1, 1);
+    this.chunks = [];
+    this.sampleCount = 0;
+    this.partialOffset = 0; // First sample not covered by partialText yet
+    this.partialText = '';
+    this.processor.onaudioprocess = (e) => {
+      const samples = new Float32Array(e.inputBuffer.getChannelData(0));
+      this.chunks.push(samples);
+      this.sampleCount += samples.length;
+    };
+    this.source.connect(this.processor);
+    this.processor.connect(this.context.destination);
+
+    this.recordingId++;
+    this.partialTimer = setInterval(() => this.transcribePartial(), this.settings.partialIntervalMs);
+    this.limitTimer = setTimeout(() => this.stop(), this.settings.maxRecordingMs);
+    this.setState('recording');
+  }
+
+  // Stop recording and transcribe everything that was said
+  async stop() {
+    if (this.starting) {
+      this.stopRequested = true;
+      return;
+    }
+    if (this.state !== 'recording') return;
+
+    const audio = this.getPcm();
+    const durationMs = (this.sampleCount / SPEECH_SAMPLE_RATE) * 1000;
+    this.release();
+    if (durationMs < MIN_SPEECH_MS) {
+      this.setState('idle');
+      return;
+    }
+
+    this.setState('transcribing');
+    try {
+      const result = await window.electronAPI.transcribeSpeech({ audio, sampleRate: SPEECH_SAMPLE_RATE, final: true });
+      if (result.success) {
+        this.onTranscript(result.text, { final: true });
+      } else {
+        this.onError(result.error);
+      }
+    } catch (error) {
+      this.onError(error.message);
+    } finally {
+      this.setState('idle');
+    }
+  }
+
+  // One partial request at a time, for the audio added since the previous one. Results
+  // arriving after the recording ended are dropped (the final transcript replaces them)
+  async transcribePartial() {
+    const start = this.partialOffset;
+    const end = this.sampleCount;
+    if (this.partialInFlight || end - start < (SPEECH_SAMPLE_RATE * MIN_SPEECH_MS) / 1000) return;
+
+    const recordingId = this.recordingId;
+    this.partialInFlight = true;
+    try {
+      const result = await window.electronAPI.transcribeSpeech({ audio: this.getPcm(start, end), sampleRate: SPEECH_SAMPLE_RATE, final: false });
+      if (this.state !== 'recording' || recordingId !== this.recordingId) return;
+      // A failed piece is skipped; the final transcript covers it
+      this.partialOffset = end;
+      if (result.success && result.text) {
+        this.partialText = this.partialText ? `${this.partialText} ${result.text}` : result.text;
+        this.onTranscript(this.partialText, { final: false });
+      }
+    } finally {
+      this.partialInFlight = false;
+    }
+  }
+
+  // Samples [start, end) of the recording (all of it by default) as little-endian 16-bit samples
+  getPcm(start = 0, end = this.sampleCount) {
+    const pcm = new Int16Array(end - start);
+    let chunkStart = 0;
+    this.chunks.forEach(chunk => {
+      const from = Math.max(start - chunkStart, 0);
+      const to = Math.min(end - chunkStart, chunk.length);
+      for (let index = from; index < to; index++) {
+        const clamped = Math.max(-1, Math.min(1, chunk[index]));
+        pcm[chunkStart + index - start] = clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff;
+      }
+      chunkStart += chunk.length;
+    });
+    return new Uint8Array(pcm.buffer);
+  }
+
+  release() {
+    clearInterval(this.partialTimer);
+    clearTimeout(this.limitTimer);
+    this.processor.onaudioprocess = null;
+    this.source.disconnect();
+    this.processor.disconnect();
+    this.stream.getTracks().forEach(track => track.stop());
+    this.context.close();
+  }
+}
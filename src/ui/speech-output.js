@@ -0,0 +1,184 @@
+// Spoken responses. Streamed text is spoken a sentence at a time as soon as each
+// sentence is complete; code blocks, URLs and Markdown markup are left out. The
+// 'web-speech' engine uses the system voices directly, the local engines (piper,
+// espeak) synthesize each sentence in the main process and the audio is played here.
+
+// Unfinished code fence: index of the line that opens it, or -1
+function findOpenFence(text) {
+  let fence = null;
+  let fenceStart = -1;
+  let offset = 0;
+  for (const line of text.split('\n')) {
+    const match = /^\s*(`{3,}|~{3,})/.exec(line);
+    if (match && !fence) {
+      fence = match[1];
+      fenceStart = offset;
+    } else if (match && match[1][0] === fence[0] && match[1].length >= fence.length) {
+      fence = null;
+    }
+    offset += line.length + 1;
+  }
+  return fence ? fenceStart : -1;
+}
+
+// Offset just after the last complete sentence or line, 0 if there is none yet
+function findSpeechBoundary(text) {
+  let boundary = 0;
+  for (const match of text.matchAll(/[.!?…]+["')\]*_]*\s+|\n+/g)) {
+    boundary = match.index + match[0].length;
+  }
+  return boundary;
+}
+
+// Markdown -> the sentences worth reading out
+function toSpeechSentences(markdown) {
+  return markdown
+    .replace(/(`{3,}|~{3,})[\s\S]*?(?:\1|$)/g, '\n')
+    .replace(/\$\$[\s\S]*?\$\$/g, '\n')
+    .split(/\n+/)
+    // Headings, quotes and list markers
+    .flatMap(line => line.replace(/^\s*(?:#{1,6}|>|[-+*]|\d+[.)])\s+/, '').split(/(?<=[.!?…])\s+/))
+    .map(sentence => sentence
+      .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/https?:\/\/\S+/g, '')
+      .replace(/<[^>]+>/g, '')
+      .replace(/(^|\W)_+|_+(?=\W|$)/g, '$1')
+      .replace(/[*~`#|$\\]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim())
+    .filter(sentence => /[\p{L}\p{N}]/u.test(sentence));
+}
+
+// onError(message) reports failures of the local engines (speech stops after the first)
+class SpeechOutput {
+  constructor({ onError }) {
+    this.onError = onError;
+    this.settings = { enabled: false, engine: 'web-speech', voice: '', rate: 1 };
+    this.pending = ''; // Streamed text not spoken yet
+    this.generation = 0; // Bumped by stop() so queued sentences are dropped
+    this.queue = []; // Local engines: synthesis results waiting to be played
+    this.synthesis = Promise.resolve();
+    this.playingGeneration = null;
+    this.currentAudio = null;
+  }
+
+  configure(settings) {
+    this.settings = { ...this.settings, ...settings };
+    if (!this.settings.enabled) {
+      this.stop();
+    }
+  }
+
+  get enabled() {
+    return this.settings.enabled;
+  }
+
+  // A chunk of a streamed response
+  append(chunk) {
+    if (!this.enabled) return;
+    this.pending += chunk;
+    this.speakPending(false);
+  }
+
+  // The streamed response ended: speak what is left
+  finish() {
+    if (!this.enabled) return;
+    this.speakPending(true);
+  }
+
+  // A complete text (e.g. generated text placed on the canvas)
+  speak(markdown) {
+    if (!this.enabled) return;
+    toSpeechSentences(markdown).forEach(sentence => this.enqueue(sentence));
+  }
+
+  // Silence everything, including what is queued (a new message, a cancelled response...)
+  stop() {
+    this.generation++;
+    this.pending = '';
+    this.queue = [];
+    if (window.speechSynthesis?.speaking || window.speechSynthesis?.pending) {
+      speechSynthesis.cancel();
+    }
+    this.currentAudio?.pause();
+  }
+
+  // Text after an unfinished code block waits until the block is closed (it is not read out)
+  speakPending(final) {
+    const openFence = findOpenFence(this.pending);
+    const available = openFence === -1 ? this.pending : this.pending.slice(0, openFence);
+    const end = final ? available.length : findSpeechBoundary(available);
+    if (end > 0) {
+      this.speak(this.pending.slice(0, end));
+    }
+    this.pending = final ? '' : this.pending.slice(end);
+  }
+
+  enqueue(sentence) {
+    if (this.settings.engine === 'web-speech') {
+      this.speakWithSystemVoice(sentence);
+      return;
+    }
+
+    // Sentences are synthesized one after another, ahead of playback
+    const generation = this.generation;
+    const result = this.synthesis = this.synthesis
+      .then(() => (generation === this.generation ? window.electronAPI.synthesizeSpeech(sentence) : null))
+      .catch(error => ({ success: false, error: error.message }));
+    this.queue.push(result);
+    if (this.playingGeneration !== generation) {
+      this.playQueue(generation);
+    }
+  }
+
+  // The browser queues utterances itself; one per sentence keeps long answers from stalling
+  speakWithSystemVoice(sentence) {
+    const utterance = new SpeechSynthesisUtterance(sentence);
+    const { voice, rate } = this.settings;
+    utterance.rate = rate;
+    if (voice) {
+      utterance.voice = speechSynthesis.getVoices().find(candidate => candidate.name === voice || candidate.lang === voice) || null;
+    }
+    speechSynthesis.speak(utterance);
+  }
+
+  async playQueue(generation) {
+    this.playingGeneration = generation;
+    try {
+      while (this.queue.length > 0 && generation === this.generation) {
+        const result = await this.queue.shift();
+        if (generation !== this.generation) break;
+        if (!result.success) {
+          this.onError(result.error);
+          this.stop();
+          break;
+        }
+        await this.playAudio(result.audio);
+      }
+    } finally {
+      if (this.playingGeneration === generation) {
+        this.playingGeneration = null;
+      }
+    }
+  }
+
+  // Resolves when the audio ended or was stopped
+  playAudio(bytes) {
+    return new Promise(resolve => {
+      const url = URL.createObjectURL(new Blob([bytes], { type: 'audio/wav' }));
+      const audio = new Audio(url);
+      const done = () => {
+        URL.revokeObjectURL(url);
+        if (this.currentAudio === audio) {
+          this.currentAudio = null;
+        }
+        resolve();
+      };
+      audio.onended = done;
+      audio.onpause = done;
+      audio.onerror = done;
+      this.currentAudio = audio;
+      audio.play().catch(done);
+    });
+  }
+}
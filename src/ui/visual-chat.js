@@ -1,13 +1,77 @@
-// Initialize mermaid
-mermaid.initialize({ startOnLoad: false, theme: 'dark' });
+// Initialize mermaid (SVG text labels instead of HTML ones so diagrams export cleanly to SVG/PNG).
+// The main process applies the theme setting to prefers-color-scheme, so diagrams follow it too
+const lightThemeQuery = window.matchMedia('(prefers-color-scheme: light)');
+
+function initializeMermaid() {
+  mermaid.initialize({
+    startOnLoad: false,
+    theme: lightThemeQuery.matches ? 'default' : 'dark',
+    flowchart: { htmlLabels: false }
+  });
+}
+
+initializeMermaid();
+lightThemeQuery.addEventListener('change', initializeMermaid);
+
+// Chart colors are read from the theme when a chart is drawn, so redraw charts when it changes
+lightThemeQuery.addEventListener('change', () => {
+  positionedElements
+    .filter(el => el.canvasData.type === 'chart')
+    .forEach(el => renderElementContent(el));
+});
+
+// Dataset colors of generated charts (pie charts use one per slice)
+const CHART_COLORS = ['#60a5fa', '#f472b6', '#34d399', '#fbbf24', '#a78bfa', '#f87171', '#22d3ee', '#fb923c'];
 
 const messagesArea = document.getElementById('messagesArea');
 const inputField = document.getElementById('inputField');
+const inputArea = document.getElementById('inputArea');
+const stopBtn = document.getElementById('stopBtn');
+const policySelect = document.getElementById('policySelect');
+const modelSelect = document.getElementById('modelSelect');
+const defaultModelBtn = document.getElementById('defaultModelBtn');
+const contextUsage = document.getElementById('contextUsage');
 const closeBtn = document.getElementById('closeBtn');
+const sessionsBtn = document.getElementById('sessionsBtn');
+const sessionsPanel = document.getElementById('sessionsPanel');
+const sessionsList = document.getElementById('sessionsList');
+const newSessionBtn = document.getElementById('newSessionBtn');
+const exportBtn = document.getElementById('exportBtn');
+const exportMenu = document.getElementById('exportMenu');
+const settingsBtn = document.getElementById('settingsBtn');
+const appNotice = document.getElementById('appNotice');
+const usageBtn = document.getElementById('usageBtn');
+const usagePanel = document.getElementById('usagePanel');
+const usageRows = document.getElementById('usageRows');
+const captureBtn = document.getElementById('captureBtn');
+const micBtn = document.getElementById('micBtn');
+const speakerBtn = document.getElementById('speakerBtn');
+const attachmentTray = document.getElementById('attachmentTray');
 
 let currentStreamingMessage = null;
 let currentToolCalls = new Map(); // Track tool calls by toolName
 let positionedElements = []; // Track positioned elements for Jarvis effect
+const layoutEngine = new LayoutEngine();
+let topZIndex = 1000; // Raised as elements are brought to the front
+let currentSessionId = null;
+let isStreaming = false;
+let streamGeneration = 0; // Bumped on cancel so in-flight renders know they are stale
+let selectedElement = null; // Diagram or image the next message asks to change
+let lastMessageUsage = null; // Usage totals of the latest response, for the usage panel
+let pendingAttachments = []; // Images and files attached to the next message
+let attachmentSettings = { maxPerMessage: 4, maxFileBytes: 10 * 1024 * 1024, pasteAsFileChars: 4000 }; // Replaced by the configured limits
+
+const TOOL_LABELS = {
+  generateText: 'Text',
+  generateMermaidDiagram: 'Diagram',
+  generateImage: 'Image',
+  generateChart: 'Chart',
+  generateTable: 'Table',
+  generateCode: 'Code',
+  generateTimeline: 'Timeline',
+  editMermaidDiagram: 'Diagram edit',
+  editImage: 'Image edit'
+};
 
 // Ensure electronAPI is available
 console.log('electronAPI available:', !!window.electronAPI);
@@ -18,10 +82,8 @@ function setupIPCListeners() {
   // Listen for stream chunks
   if (window.electronAPI?.onChatStreamChunk) {
     window.electronAPI.onChatStreamChunk((data) => {
-      if (currentStreamingMessage) {
-        const currentText = currentStreamingMessage.querySelector('.message-text')?.textContent || '';
-        updateMessage(currentStreamingMessage, currentText + data.chunk);
-      }
+      currentStreamingMessage?.markdownStream?.append(data.chunk);
+      speechOutput.append(data.chunk);
     });
   }
 
@@ -40,6 +102,10 @@ function setupIPCListeners() {
   if (window.electronAPI?.onToolResult) {
     window.electronAPI.onToolResult(async (data) => {
       console.log('Tool result received:', data);
+      if (!isStreaming) {
+        console.warn('Ignoring tool result received after the stream ended');
+        return;
+      }
       const { toolName, result } = data;
       
       // Update tool call status
@@ -57,13 +123,37 @@ function setupIPCListeners() {
     console.error('onToolResult not available!');
   }
 
+  // Tools that failed (rate limit, content filter...) are noted under the response
+  if (window.electronAPI?.onToolError) {
+    window.electronAPI.onToolError(({ toolName, error }) => {
+      console.warn('Tool error received:', toolName, error);
+      if (currentStreamingMessage) {
+        addMessageNotice(currentStreamingMessage, `${TOOL_LABELS[toolName] || toolName} failed: ${error}`);
+      }
+    });
+  }
+
   // Listen for stream completion
   if (window.electronAPI?.onChatStreamComplete) {
-    window.electronAPI.onChatStreamComplete(() => {
+    window.electronAPI.onChatStreamComplete(({ cancelled, model, usage }) => {
       if (currentStreamingMessage) {
+        currentStreamingMessage.markdownStream?.finish();
         currentStreamingMessage.classList.remove('streaming');
+        if (cancelled) {
+          currentStreamingMessage.classList.add('cancelled');
+        }
+        addMessageModel(currentStreamingMessage, model, usage);
         currentStreamingMessage = null;
       }
+      if (cancelled) {
+        speechOutput.stop();
+      } else {
+        speechOutput.finish();
+      }
+      lastMessageUsage = usage || null;
+      setStreaming(false);
+      refreshContextUsage();
+      refreshUsage();
     });
   }
 }
@@ -76,44 +166,291 @@ closeBtn.addEventListener('click', () => {
   window.electronAPI.hideVisualChat();
 });
 
-// Send message on Enter (Shift+Enter for new line)
+// Settings window (button or Cmd/Ctrl + ,)
+settingsBtn.addEventListener('click', () => {
+  window.electronAPI.openSettings();
+});
+
+document.addEventListener('keydown', (e) => {
+  if ((e.metaKey || e.ctrlKey) && e.key === ',') {
+    e.preventDefault();
+    window.electronAPI.openSettings();
+  }
+});
+
+// Send message on Enter (Shift+Enter for new line), stop streaming on Escape
 inputField.addEventListener('keydown', (e) => {
   if (e.key === 'Enter' && !e.shiftKey) {
     e.preventDefault();
     sendMessage();
+  } else if (e.key === 'Escape' && isStreaming) {
+    e.preventDefault();
+    cancelStream();
+  } else if (e.key === 'Escape' && selectedElement) {
+    e.preventDefault();
+    clearElementSelection();
+  }
+});
+
+stopBtn.addEventListener('click', () => cancelStream());
+
+// Screen region capture; the image comes back as a 'captureRegion' action
+captureBtn.addEventListener('click', () => {
+  window.electronAPI.captureRegion();
+});
+
+window.electronAPI.getAttachmentSettings().then(settings => {
+  attachmentSettings = settings;
+});
+
+// Files dropped anywhere on the window are attached to the next message
+document.addEventListener('dragover', (e) => {
+  if (!e.dataTransfer.types.includes('Files')) return;
+  e.preventDefault();
+  inputArea.classList.add('drop-target');
+});
+
+document.addEventListener('dragleave', (e) => {
+  if (!e.relatedTarget) {
+    inputArea.classList.remove('drop-target');
   }
 });
 
+document.addEventListener('drop', (e) => {
+  e.preventDefault();
+  inputArea.classList.remove('drop-target');
+  attachFiles([...e.dataTransfer.files]);
+});
+
+// Pasted images and files are attached; very long pasted text becomes a text attachment
+inputField.addEventListener('paste', (e) => {
+  const files = [...e.clipboardData.files];
+  if (files.length > 0) {
+    e.preventDefault();
+    attachFiles(files);
+    return;
+  }
+
+  const text = e.clipboardData.getData('text/plain');
+  if (text.length > attachmentSettings.pasteAsFileChars) {
+    e.preventDefault();
+    attachFiles([new File([text], 'Pasted text.txt', { type: 'text/plain' })]);
+  }
+});
+
+// Read the files and let the main process turn them into attachments (limits are checked
+// here first so large files are never sent over IPC)
+async function attachFiles(files) {
+  for (const file of files) {
+    if (pendingAttachments.length >= attachmentSettings.maxPerMessage) {
+      showAppNotice(`At most ${attachmentSettings.maxPerMessage} attachments can be sent with a message`);
+      return;
+    }
+    if (file.size > attachmentSettings.maxFileBytes) {
+      showAppNotice(`${file.name} is too large (limit ${formatFileSize(attachmentSettings.maxFileBytes)})`);
+      continue;
+    }
+
+    const result = await window.electronAPI.prepareAttachment({
+      name: file.name,
+      mimeType: file.type,
+      data: new Uint8Array(await file.arrayBuffer())
+    });
+    if (result.success) {
+      addAttachment(result.attachment);
+    } else {
+      showAppNotice(result.error);
+    }
+  }
+}
+
+function formatFileSize(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
 // Auto-resize textarea
-inputField.addEventListener('input', () => {
+inputField.addEventListener('input', () => resizeInputField());
+
+function resizeInputField() {
   inputField.style.height = 'auto';
   inputField.style.height = Math.min(inputField.scrollHeight, 80) + 'px';
+}
+
+// Push-to-talk: the transcript streams into the input after whatever was typed before
+let speechBaseText = '';
+let speechAutoSend = false;
+
+const speechInput = new SpeechInput({
+  onTranscript: (text, { final }) => {
+    const separator = speechBaseText && !/\s$/.test(speechBaseText) && text ? ' ' : '';
+    inputField.value = speechBaseText + separator + text;
+    resizeInputField();
+    if (final && speechAutoSend && text) {
+      sendMessage();
+    }
+  },
+  onStateChange: (state) => {
+    micBtn.classList.toggle('recording', state === 'recording');
+    micBtn.classList.toggle('transcribing', state === 'transcribing');
+    inputField.readOnly = state !== 'idle';
+  },
+  onError: (message) => showAppNotice(`Speech input: ${message}`)
+});
+
+async function loadSpeechSettings() {
+  const { autoSend, ...settings } = await window.electronAPI.getSpeechSettings();
+  speechAutoSend = autoSend;
+  speechInput.configure(settings);
+}
+
+function startSpeechInput() {
+  speechOutput.stop();
+  speechBaseText = inputField.value;
+  speechInput.start();
+}
+
+function toggleSpeechInput() {
+  if (speechInput.state === 'recording' || speechInput.starting) {
+    speechInput.stop();
+  } else {
+    startSpeechInput();
+  }
+}
+
+// Hold the button to talk (recording stops on release), or click to start and click again to stop
+micBtn.addEventListener('pointerdown', (e) => {
+  if (e.button !== 0) return;
+  micBtn.setPointerCapture(e.pointerId);
+  micBtn.pressedAt = Date.now();
+  toggleSpeechInput();
 });
 
+micBtn.addEventListener('pointerup', () => {
+  if (Date.now() - micBtn.pressedAt > 400) {
+    speechInput.stop();
+  }
+});
+
+loadSpeechSettings();
+
+// Spoken responses; a new message, a cancelled response or a session switch silences them
+const speechOutput = new SpeechOutput({
+  onError: (message) => showAppNotice(`Voice output: ${message}`)
+});
+
+async function loadTtsSettings() {
+  const settings = await window.electronAPI.getTtsSettings();
+  speechOutput.configure(settings);
+  speakerBtn.textContent = settings.enabled ? '🔊' : '🔇';
+  speakerBtn.title = settings.enabled ? 'Stop speaking responses' : 'Speak responses aloud';
+}
+
+// Saved like any other setting; the button updates through the settings-changed event
+speakerBtn.addEventListener('click', async () => {
+  const result = await window.electronAPI.saveSettings({ tts: { enabled: !speechOutput.enabled } });
+  if (!result.success) {
+    showAppNotice(result.error);
+  }
+});
+
+loadTtsSettings();
+
 async function sendMessage() {
   const text = inputField.value.trim();
-  if (!text) return;
+  if ((!text && pendingAttachments.length === 0) || isStreaming) return;
+  speechOutput.stop();
 
   // Add user message
-  addMessage(text, 'user');
+  const attachments = pendingAttachments;
+  const userMessage = addMessage(text, 'user');
+  addMessageAttachments(userMessage, attachments);
   inputField.value = '';
   inputField.style.height = 'auto';
+  pendingAttachments = [];
+  renderAttachmentTray();
 
-  // Clear previous positioned elements
-  clearPositionedElements();
+  // Edits change the selected element in place; otherwise clear previous
+  // positioned elements (pinned ones stay). They come back if the message fails
+  const editTarget = selectedElement;
+  const previousCanvas = editTarget ? null : getCanvasElements();
+  if (editTarget) {
+    editTarget.classList.add('editing');
+  } else {
+    clearPositionedElements({ keepPinned: true });
+  }
 
   // Create streaming assistant message
   currentStreamingMessage = addMessage('', 'assistant', true);
   currentToolCalls.clear();
+  setStreaming(true);
+  const sessionId = currentSessionId;
 
   try {
     // Send message and stream response
-    await window.electronAPI.sendChatStream(text);
+    // An empty selection means the configured default policy
+    const { id, type, content } = editTarget?.canvasData || {};
+    const response = await window.electronAPI.sendChatStream(text, {
+      outputPolicy: policySelect.value || undefined,
+      model: modelSelect.value || undefined,
+      editElement: editTarget ? { id, type, content } : undefined,
+      attachments
+    });
+    // Nothing to show if the session changed while the message was sent
+    if (sessionId !== currentSessionId) return;
+    if (response && !response.success && currentStreamingMessage) {
+      updateMessage(currentStreamingMessage, `Error: ${response.error}`);
+      currentStreamingMessage.classList.remove('streaming');
+      currentStreamingMessage = null;
+    }
+    if (response && !response.success) {
+      await restoreUnsentMessage(text, attachments, previousCanvas);
+    }
   } catch (error) {
+    if (sessionId !== currentSessionId) return;
     updateMessage(currentStreamingMessage, `Error: ${error.message}`);
+    await restoreUnsentMessage(text, attachments, previousCanvas);
+  } finally {
+    editTarget?.classList.remove('editing');
+    if (sessionId === currentSessionId) {
+      setStreaming(false);
+    }
+  }
+}
+
+// Give a failed message back to the user (to fix and resend) along with the canvas it cleared
+async function restoreUnsentMessage(text, attachments, previousCanvas) {
+  if (!inputField.value.trim()) {
+    inputField.value = text;
+    resizeInputField();
+  }
+  pendingAttachments = [...attachments, ...pendingAttachments];
+  renderAttachmentTray();
+
+  if (previousCanvas) {
+    clearPositionedElements({ keepPinned: true });
+    for (const element of previousCanvas.filter(el => !el.pinned)) {
+      await addPositionedElement(element.type, element.content, element.position, element);
+    }
+    syncCanvas();
   }
 }
 
+async function cancelStream() {
+  if (!isStreaming) return;
+
+  setStreaming(false);
+  speechOutput.stop();
+  streamGeneration++;
+  removeUnfinishedElements();
+  syncCanvas(); // Only what was shown before the cancel is kept with the session
+  await window.electronAPI.cancelChatStream();
+}
+
+function setStreaming(streaming) {
+  isStreaming = streaming;
+  inputArea.classList.toggle('streaming', streaming);
+}
+
 
 // Handle tool results
 async function handleToolResult(toolName, result) {
@@ -134,6 +471,7 @@ async function handleToolResult(toolName, result) {
         return;
       }
       
+      speechOutput.speak(content);
       if (!position || typeof position.x !== 'number' || typeof position.y !== 'number') {
         console.warn('Invalid position, using defaults:', position);
         addPositionedElement('text', content, { x: 50, y: 50 });
@@ -148,6 +486,11 @@ async function handleToolResult(toolName, result) {
       const { content, position } = result;
       console.log('Adding image element:', content, position);
       addPositionedElement('image', content, position);
+    } else if (['generateChart', 'generateTable', 'generateCode', 'generateTimeline'].includes(toolName)) {
+      const { type, content, position } = result;
+      addPositionedElement(type, content, position);
+    } else if (toolName === 'editMermaidDiagram' || toolName === 'editImage') {
+      await applyElementEdit(result);
     } else if (toolName === 'generateLayout') {
       const { elements } = result;
       console.log('Adding layout elements:', elements);
@@ -155,6 +498,7 @@ async function handleToolResult(toolName, result) {
       for (const element of elements) {
         if (element.type === 'text') {
           addPositionedElement('text', element.content, element.position);
+          speechOutput.speak(element.content);
         } else if (element.type === 'mermaid') {
           await addPositionedElement('mermaid', element.content, element.position);
         } else if (element.type === 'image') {
@@ -169,9 +513,11 @@ async function handleToolResult(toolName, result) {
   }
 }
 
-// Add positioned element to screen
-async function addPositionedElement(type, content, position) {
+// Add positioned element to screen (position is a hint for the layout engine)
+// options restore a saved arrangement: { id, pinned, manual, size, versions, versionIndex }
+async function addPositionedElement(type, content, position, options = {}) {
   console.log('addPositionedElement called:', type, content, position);
+  const generation = streamGeneration;
   
   if (!content) {
     console.error('No content provided for', type);
@@ -185,45 +531,37 @@ async function addPositionedElement(type, content, position) {
   
   const element = document.createElement('div');
   element.className = `positioned-element positioned-${type}`;
-  element.style.left = `${position.x}%`;
-  element.style.top = `${position.y}%`;
-  element.style.zIndex = '1000';
+  element.style.zIndex = String(++topZIndex);
+  element.canvasData = {
+    id: options.id || `element-${Date.now()}-${Math.floor(Math.random() * 1000000)}`,
+    type,
+    content,
+    pinned: !!options.pinned,
+    size: options.size || null,
+    versions: options.versions || null, // [{ content, instruction }] once the element has been edited
+    versionIndex: options.versionIndex ?? null
+  };
+  element.classList.toggle('pinned', element.canvasData.pinned);
+  if (options.size) {
+    applyElementSize(element, options.size);
+  }
   
   // Add animation
   element.style.opacity = '0';
   element.style.transform = 'scale(0.8) translateY(20px)';
   
-  if (type === 'text') {
-    const textDiv = document.createElement('div');
-    textDiv.className = 'positioned-text';
-    textDiv.textContent = content;
-    textDiv.style.color = '#e0e0e0';
-    element.appendChild(textDiv);
-    console.log('Text div created with content:', content.substring(0, 50));
-  } else if (type === 'mermaid') {
-    const diagramContainer = document.createElement('div');
-    diagramContainer.className = 'positioned-diagram';
-    try {
-      // Generate a valid CSS selector ID (no decimals allowed)
-      const uniqueId = 'mermaid-' + Date.now() + '-' + Math.floor(Math.random() * 1000000);
-      const { svg } = await mermaid.render(uniqueId, content);
-      diagramContainer.innerHTML = svg;
-      element.appendChild(diagramContainer);
-    } catch (error) {
-      diagramContainer.textContent = `Failed to render diagram: ${error.message}`;
-      element.appendChild(diagramContainer);
-    }
-  } else if (type === 'image') {
-    const imageContainer = document.createElement('div');
-    imageContainer.className = 'positioned-image-container';
-    const img = document.createElement('img');
-    img.src = content;
-    img.alt = 'Generated image';
-    imageContainer.appendChild(img);
-    element.appendChild(imageContainer);
+  await renderElementContent(element);
+
+  // The stream was cancelled while the diagram was rendering
+  if (type === 'mermaid' && generation !== streamGeneration) {
+    console.log('Discarding diagram rendered after cancellation');
+    return;
   }
 
+  attachElementControls(element);
+  updateVersionControls(element);
   document.body.appendChild(element);
+  layoutEngine.add(element, position, { locked: !!options.manual });
   positionedElements.push(element);
   console.log('Element appended to body:', element, 'Total positioned elements:', positionedElements.length);
   console.log('Element computed style:', window.getComputedStyle(element).display, window.getComputedStyle(element).visibility);
@@ -247,44 +585,663 @@ async function addPositionedElement(type, content, position) {
   });
 }
 
-// Clear positioned elements
-function clearPositionedElements() {
-  positionedElements.forEach(el => {
+// Render (or re-render after an edit) the element's current content in place
+async function renderElementContent(element) {
+  const { type, content } = element.canvasData;
+  let contentNode;
+
+  if (type === 'text') {
+    contentNode = document.createElement('div');
+    contentNode.className = 'positioned-text';
+    renderMarkdown(contentNode, content);
+    contentNode.style.color = '#e0e0e0';
+  } else if (type === 'mermaid') {
+    contentNode = document.createElement('div');
+    contentNode.className = 'positioned-diagram';
+    try {
+      // Generate a valid CSS selector ID (no decimals allowed)
+      const uniqueId = 'mermaid-' + Date.now() + '-' + Math.floor(Math.random() * 1000000);
+      const { svg } = await mermaid.render(uniqueId, content);
+      contentNode.innerHTML = svg;
+    } catch (error) {
+      contentNode.textContent = `Failed to render diagram: ${error.message}`;
+    }
+  } else if (type === 'image') {
+    contentNode = document.createElement('div');
+    contentNode.className = 'positioned-image-container';
+    const img = document.createElement('img');
+    // A new image is still loading until it decodes; cancelling removes it
+    if (!element.isConnected) {
+      element.classList.add('rendering');
+      img.onload = img.onerror = () => element.classList.remove('rendering');
+    }
+    img.src = content;
+    img.alt = 'Generated image';
+    contentNode.appendChild(img);
+  } else if (type === 'chart') {
+    contentNode = document.createElement('div');
+    contentNode.className = 'positioned-chart-container';
+    const canvas = document.createElement('canvas');
+    canvas.setAttribute('role', 'img');
+    canvas.setAttribute('aria-label', content.title || 'Chart');
+    contentNode.appendChild(canvas);
+    createChart(canvas, content);
+  } else if (type === 'table') {
+    contentNode = createElementWithTitle('positioned-table-container markdown-body', content.title);
+    const table = document.createElement('table');
+    const headerRow = table.createTHead().insertRow();
+    content.columns.forEach(column => {
+      const th = document.createElement('th');
+      th.textContent = column;
+      headerRow.appendChild(th);
+    });
+    const body = table.createTBody();
+    content.rows.forEach(row => {
+      const tr = body.insertRow();
+      row.forEach(cell => {
+        tr.insertCell().textContent = cell;
+      });
+    });
+    contentNode.appendChild(table);
+  } else if (type === 'code') {
+    contentNode = createElementWithTitle('positioned-code-container markdown-body', content.title);
+    contentNode.insertAdjacentHTML('beforeend', renderCodeBlock(content.code, content.language));
+  } else if (type === 'timeline') {
+    contentNode = createElementWithTitle('positioned-timeline-container', content.title);
+    const list = document.createElement('ol');
+    list.className = 'timeline';
+    content.events.forEach(event => {
+      const item = document.createElement('li');
+      const date = document.createElement('div');
+      date.className = 'timeline-date';
+      date.textContent = event.date;
+      const title = document.createElement('div');
+      title.className = 'timeline-title';
+      title.textContent = event.title;
+      item.append(date, title);
+      if (event.description) {
+        const description = document.createElement('div');
+        description.className = 'timeline-description';
+        description.textContent = event.description;
+        item.appendChild(description);
+      }
+      list.appendChild(item);
+    });
+    contentNode.appendChild(list);
+  } else {
+    return;
+  }
+
+  const previous = element.querySelector(':scope > .positioned-text, :scope > .positioned-diagram, :scope > .positioned-image-container, '
+    + ':scope > .positioned-chart-container, :scope > .positioned-table-container, :scope > .positioned-code-container, :scope > .positioned-timeline-container');
+  if (previous) {
+    destroyElementChart(element);
+    previous.replaceWith(contentNode);
+  } else {
+    element.prepend(contentNode);
+  }
+}
+
+// Container for a table, code snippet or timeline, with its optional caption
+function createElementWithTitle(className, title) {
+  const node = document.createElement('div');
+  node.className = className;
+  if (title) {
+    const heading = document.createElement('div');
+    heading.className = 'element-title';
+    heading.textContent = title;
+    node.appendChild(heading);
+  }
+  return node;
+}
+
+// Chart.js chart in the theme's text color. Pie charts show the first dataset
+function createChart(canvas, { chartType, title, labels, datasets }) {
+  const textColor = getComputedStyle(document.body).color;
+  const gridColor = lightThemeQuery.matches ? 'rgba(0, 0, 0, 0.08)' : 'rgba(255, 255, 255, 0.08)';
+  const isPie = chartType === 'pie';
+
+  return new Chart(canvas, {
+    type: chartType,
+    data: {
+      labels,
+      datasets: (isPie ? datasets.slice(0, 1) : datasets).map((dataset, index) => {
+        const color = CHART_COLORS[index % CHART_COLORS.length];
+        return {
+          label: dataset.label,
+          data: dataset.data,
+          backgroundColor: isPie ? labels.map((label, i) => CHART_COLORS[i % CHART_COLORS.length]) : `${color}b3`,
+          borderColor: isPie ? 'transparent' : color,
+          borderWidth: chartType === 'line' ? 2 : 1,
+          tension: 0.3
+        };
+      })
+    },
+    options: {
+      maintainAspectRatio: false,
+      color: textColor,
+      plugins: {
+        title: { display: !!title, text: title, color: textColor },
+        legend: { display: isPie || datasets.length > 1, labels: { color: textColor } }
+      },
+      scales: isPie ? {} : {
+        x: { ticks: { color: textColor }, grid: { color: gridColor } },
+        y: { beginAtZero: true, ticks: { color: textColor }, grid: { color: gridColor } }
+      }
+    }
+  });
+}
+
+// Chart.js keeps every chart registered until it is destroyed
+function destroyElementChart(element) {
+  const canvas = element.querySelector('.positioned-chart-container canvas');
+  if (canvas) {
+    Chart.getChart(canvas)?.destroy();
+  }
+}
+
+// Replace an edited element's content, keeping earlier versions to step back to
+async function applyElementEdit(result) {
+  const element = positionedElements.find(el => el.canvasData.id === result.elementId);
+  if (!element || !result.content) {
+    console.warn('Edited element is no longer on the canvas:', result.elementId);
+    return;
+  }
+
+  const data = element.canvasData;
+  if (!data.versions) {
+    data.versions = [{ content: data.content }];
+  }
+  data.versions.push({ content: result.content, instruction: result.instruction });
+  await showElementVersion(element, data.versions.length - 1);
+}
+
+async function showElementVersion(element, index) {
+  const data = element.canvasData;
+  data.versionIndex = index;
+  data.content = data.versions[index].content;
+  await renderElementContent(element);
+  updateVersionControls(element);
+  syncCanvas();
+}
+
+function updateVersionControls(element) {
+  const nav = element.querySelector('.element-versions');
+  if (!nav) return;
+
+  const { versions, versionIndex } = element.canvasData;
+  nav.hidden = !versions || versions.length < 2;
+  if (nav.hidden) return;
+
+  const index = versionIndex ?? versions.length - 1;
+  nav.querySelector('.version-label').textContent = `v${index + 1}/${versions.length}`;
+  nav.querySelector('.version-prev').disabled = index === 0;
+  nav.querySelector('.version-next').disabled = index === versions.length - 1;
+  const instruction = versions[index].instruction;
+  nav.title = instruction ? `Edit: ${instruction}` : 'Original';
+}
+
+// Select a diagram or image so the next message edits it instead of starting over
+function selectElementForEdit(element) {
+  if (selectedElement === element) {
+    clearElementSelection();
+    return;
+  }
+
+  clearElementSelection();
+  selectedElement = element;
+  element.classList.add('selected');
+  element.querySelector('.edit-btn')?.classList.add('active');
+  inputField.placeholder = `Describe changes to the selected ${element.canvasData.type === 'mermaid' ? 'diagram' : 'image'}...`;
+  inputField.focus();
+}
+
+function clearElementSelection() {
+  if (!selectedElement) return;
+  selectedElement.classList.remove('selected');
+  selectedElement.querySelector('.edit-btn')?.classList.remove('active');
+  selectedElement = null;
+  inputField.placeholder = 'Ask anything...';
+}
+
+// Remove elements that had not finished rendering when the stream was cancelled
+function removeUnfinishedElements() {
+  positionedElements = positionedElements.filter(el => {
+    if (!el.classList.contains('rendering')) return true;
+    layoutEngine.remove(el);
+    destroyElementChart(el);
+    el.remove();
+    return false;
+  });
+}
+
+// Clear positioned elements (optionally keeping the ones the user pinned)
+function clearPositionedElements({ keepPinned = false } = {}) {
+  const removed = keepPinned
+    ? positionedElements.filter(el => !el.canvasData.pinned)
+    : positionedElements;
+
+  if (removed.includes(selectedElement)) {
+    clearElementSelection();
+  }
+  removed.forEach(el => {
+    layoutEngine.remove(el);
     el.style.transition = 'all 0.3s ease-out';
     el.style.opacity = '0';
     el.style.transform = 'scale(0.8) translateY(-20px)';
-    setTimeout(() => el.remove(), 300);
+    setTimeout(() => {
+      destroyElementChart(el);
+      el.remove();
+    }, 300);
+  });
+  positionedElements = positionedElements.filter(el => !removed.includes(el));
+}
+
+// Pin/close buttons, drag to move and a corner handle to resize
+function attachElementControls(element) {
+  const controls = document.createElement('div');
+  controls.className = 'element-controls';
+
+  const pinBtn = document.createElement('button');
+  pinBtn.textContent = '📌';
+  pinBtn.title = 'Pin (keep across messages)';
+  pinBtn.addEventListener('click', () => {
+    element.canvasData.pinned = !element.canvasData.pinned;
+    element.classList.toggle('pinned', element.canvasData.pinned);
+    syncCanvas();
+  });
+
+  const closeElementBtn = document.createElement('button');
+  closeElementBtn.textContent = '✕';
+  closeElementBtn.title = 'Close';
+  closeElementBtn.addEventListener('click', () => closePositionedElement(element));
+
+  const exportElementBtn = document.createElement('button');
+  exportElementBtn.textContent = '⤓';
+  exportElementBtn.title = 'Export';
+  exportElementBtn.addEventListener('click', () => exportPositionedElement(element));
+
+  controls.appendChild(pinBtn);
+
+  // Diagrams and images can be changed with follow-up instructions
+  const { type } = element.canvasData;
+  if (type === 'mermaid' || type === 'image') {
+    const editBtn = document.createElement('button');
+    editBtn.className = 'edit-btn';
+    editBtn.textContent = '✎';
+    editBtn.title = 'Edit (describe changes in the chat)';
+    editBtn.addEventListener('click', () => selectElementForEdit(element));
+    controls.appendChild(editBtn);
+    element.appendChild(createVersionControls(element));
+  }
+
+  controls.appendChild(exportElementBtn);
+  controls.appendChild(closeElementBtn);
+
+  const resizeHandle = document.createElement('div');
+  resizeHandle.className = 'element-resize-handle';
+  resizeHandle.addEventListener('pointerdown', (e) => startElementResize(element, e));
+
+  element.appendChild(controls);
+  element.appendChild(resizeHandle);
+  element.addEventListener('pointerdown', (e) => startElementDrag(element, e));
+}
+
+// Previous/next buttons for stepping through an edited element's versions
+function createVersionControls(element) {
+  const nav = document.createElement('div');
+  nav.className = 'element-versions';
+
+  const prevBtn = document.createElement('button');
+  prevBtn.className = 'version-prev';
+  prevBtn.textContent = '‹';
+  prevBtn.title = 'Previous version';
+  prevBtn.addEventListener('click', () => showElementVersion(element, element.canvasData.versionIndex - 1));
+
+  const label = document.createElement('span');
+  label.className = 'version-label';
+
+  const nextBtn = document.createElement('button');
+  nextBtn.className = 'version-next';
+  nextBtn.textContent = '›';
+  nextBtn.title = 'Next version';
+  nextBtn.addEventListener('click', () => showElementVersion(element, element.canvasData.versionIndex + 1));
+
+  nav.appendChild(prevBtn);
+  nav.appendChild(label);
+  nav.appendChild(nextBtn);
+  return nav;
+}
+
+function startElementDrag(element, e) {
+  if (e.button !== 0 || e.target.closest('.element-controls, .element-versions, .element-resize-handle, .copy-code-btn, a')) return;
+  e.preventDefault();
+  bringElementToFront(element);
+
+  const startX = e.clientX;
+  const startY = e.clientY;
+  const startLeft = parseFloat(element.style.left) || 0;
+  const startTop = parseFloat(element.style.top) || 0;
+
+  trackPointer(element, (ev) => {
+    element.style.left = `${startLeft + ev.clientX - startX}px`;
+    element.style.top = `${startTop + ev.clientY - startY}px`;
+  });
+}
+
+function startElementResize(element, e) {
+  if (e.button !== 0) return;
+  e.preventDefault();
+  e.stopPropagation();
+  bringElementToFront(element);
+
+  const startX = e.clientX;
+  const startY = e.clientY;
+  const startWidth = element.offsetWidth;
+  const startHeight = element.offsetHeight;
+
+  trackPointer(element, (ev) => {
+    element.canvasData.size = {
+      width: Math.max(120, startWidth + ev.clientX - startX),
+      height: Math.max(80, startHeight + ev.clientY - startY)
+    };
+    applyElementSize(element, element.canvasData.size);
+  });
+}
+
+// Follow the pointer until release, then fix the element where the user left it
+function trackPointer(element, onMove) {
+  const previousTransition = element.style.transition;
+  element.style.transition = 'none';
+  element.classList.add('dragging');
+
+  const onPointerMove = (ev) => onMove(ev);
+  const onPointerUp = () => {
+    window.removeEventListener('pointermove', onPointerMove);
+    element.classList.remove('dragging');
+    element.style.transition = previousTransition;
+    layoutEngine.lock(element, {
+      left: parseFloat(element.style.left) || 0,
+      top: parseFloat(element.style.top) || 0
+    });
+    syncCanvas();
+  };
+
+  window.addEventListener('pointermove', onPointerMove);
+  window.addEventListener('pointerup', onPointerUp, { once: true });
+}
+
+function applyElementSize(element, { width, height }) {
+  element.style.maxWidth = 'none';
+  element.style.width = `${width}px`;
+  element.style.height = `${height}px`;
+}
+
+function bringElementToFront(element) {
+  element.style.zIndex = String(++topZIndex);
+}
+
+function closePositionedElement(element) {
+  if (selectedElement === element) {
+    clearElementSelection();
+  }
+  layoutEngine.remove(element);
+  positionedElements = positionedElements.filter(el => el !== element);
+  element.style.transition = 'all 0.2s ease-out';
+  element.style.opacity = '0';
+  setTimeout(() => {
+    destroyElementChart(element);
+    element.remove();
+  }, 200);
+  syncCanvas();
+}
+
+async function exportPositionedElement(element) {
+  const { type, content } = element.canvasData;
+  const payload = { type, content };
+
+  if (type === 'mermaid') {
+    const svgElement = element.querySelector('.positioned-diagram svg');
+    if (!svgElement) {
+      console.warn('Diagram failed to render, nothing to export');
+      return;
+    }
+    payload.svg = new XMLSerializer().serializeToString(svgElement);
+    payload.png = await svgToPng(svgElement);
+  } else if (type === 'chart') {
+    payload.png = chartToPng(element);
+  }
+
+  const result = await window.electronAPI.exportElement(payload);
+  if (!result.success && !result.canceled) {
+    console.error('Element export failed:', result.error);
+  }
+}
+
+// Rasterise a rendered diagram at 2x on the dark canvas background
+async function svgToPng(svgElement) {
+  const { width, height } = svgElement.getBoundingClientRect();
+  const scale = 2;
+  const svgText = new XMLSerializer().serializeToString(svgElement);
+
+  const img = new Image();
+  img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svgText)}`;
+  await img.decode();
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.ceil(width * scale);
+  canvas.height = Math.ceil(height * scale);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#1e1e1e';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL('image/png');
+}
+
+// Chart canvas as a PNG on the element's background (the canvas itself is transparent)
+function chartToPng(element) {
+  const chartCanvas = element.querySelector('.positioned-chart-container canvas');
+  if (!chartCanvas) return undefined;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = chartCanvas.width;
+  canvas.height = chartCanvas.height;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = lightThemeQuery.matches ? '#ffffff' : '#1e1e1e';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(chartCanvas, 0, 0);
+  return canvas.toDataURL('image/png');
+}
+
+// Session export (Markdown, or HTML reproducing the current canvas layout)
+exportBtn.addEventListener('click', () => {
+  exportMenu.classList.toggle('open');
+});
+
+exportMenu.addEventListener('click', async (e) => {
+  const format = e.target.dataset.format;
+  if (!format) return;
+  exportMenu.classList.remove('open');
+
+  const result = await window.electronAPI.exportSession(format, getCanvasExportSnapshot());
+  if (!result.success && !result.canceled) {
+    console.error('Session export failed:', result.error);
+  }
+});
+
+function getCanvasExportSnapshot() {
+  return {
+    viewport: { width: window.innerWidth, height: window.innerHeight },
+    elements: positionedElements.map(el => {
+      const svgElement = el.querySelector('.positioned-diagram svg');
+      return {
+        type: el.canvasData.type,
+        content: el.canvasData.content,
+        svg: svgElement ? new XMLSerializer().serializeToString(svgElement) : undefined,
+        png: el.canvasData.type === 'chart' ? chartToPng(el) : undefined,
+        left: parseFloat(el.style.left) || 0,
+        top: parseFloat(el.style.top) || 0,
+        width: el.offsetWidth,
+        height: el.offsetHeight
+      };
+    })
+  };
+}
+
+// Save the current arrangement with the session
+function syncCanvas() {
+  window.electronAPI.updateCanvas(getCanvasElements());
+}
+
+// Elements as stored with the session (and restored by addPositionedElement)
+function getCanvasElements() {
+  return positionedElements.map(el => {
+    const { position, locked } = layoutEngine.getPlacement(el) || {};
+    return { ...el.canvasData, position, manual: !!locked };
   });
-  positionedElements = [];
 }
 
 
 
 // Helper functions
+// Assistant messages are rendered as Markdown; a streaming one renders chunks
+// incrementally through its markdownStream
 function addMessage(text, role, isStreaming = false) {
   const messageDiv = document.createElement('div');
   messageDiv.className = `message ${role}${isStreaming ? ' streaming' : ''}`;
   
   const textDiv = document.createElement('div');
   textDiv.className = 'message-text';
-  textDiv.textContent = text;
+  if (role !== 'assistant') {
+    textDiv.textContent = text;
+  } else if (isStreaming) {
+    messageDiv.markdownStream = new MarkdownStream(textDiv, { onRender: scrollMessagesToBottom });
+  } else {
+    renderMarkdown(textDiv, text);
+  }
   
   messageDiv.appendChild(textDiv);
   messagesArea.appendChild(messageDiv);
-  
-  // Auto-scroll to bottom
-  messagesArea.scrollTop = messagesArea.scrollHeight;
+  scrollMessagesToBottom();
   
   return messageDiv;
 }
 
+// Replace a message's text (errors), ending any stream into it
 function updateMessage(messageElement, newText) {
+  messageElement.markdownStream = null;
   const textDiv = messageElement.querySelector('.message-text');
   if (textDiv) {
+    textDiv.classList.remove('markdown-body');
     textDiv.textContent = newText;
   }
-  
-  // Auto-scroll to bottom
+  scrollMessagesToBottom();
+}
+
+function scrollMessagesToBottom() {
+  messagesArea.scrollTop = messagesArea.scrollHeight;
+}
+
+// Model that answered, shown under the response with the tokens and cost of the message
+function addMessageModel(messageElement, model, usage) {
+  if (!model) return;
+  const label = document.createElement('div');
+  label.className = 'message-model';
+  label.textContent = usage?.calls
+    ? `${model} · ${formatTokens(usage.totalTokens)} tokens · ${formatCost(usage)}`
+    : model;
+  messageElement.appendChild(label);
+}
+
+function formatTokens(tokens) {
+  return tokens >= 1000 ? `${(tokens / 1000).toFixed(1)}k` : String(tokens);
+}
+
+// Known cost; calls without a reported cost or configured price are flagged
+function formatCost(usage) {
+  if (usage.calls > 0 && usage.unpricedCalls === usage.calls) return 'cost unknown';
+  const cost = `$${usage.cost > 0 && usage.cost < 0.01 ? usage.cost.toFixed(4) : usage.cost.toFixed(2)}`;
+  return usage.unpricedCalls > 0 ? `${cost} + ${usage.unpricedCalls} unpriced` : cost;
+}
+
+// Image thumbnails and file chips of the attachments sent with a user message
+function addMessageAttachments(messageElement, attachments = []) {
+  if (attachments.length === 0) return;
+
+  const container = document.createElement('div');
+  container.className = 'message-attachments';
+  attachments.forEach(attachment => {
+    if (attachment.type === 'text') {
+      container.appendChild(createFileChip(attachment));
+      return;
+    }
+    const img = document.createElement('img');
+    img.src = attachment.url;
+    img.alt = attachment.name;
+    img.title = attachment.name;
+    img.onerror = () => img.replaceWith(`[${attachment.name} no longer available]`);
+    container.appendChild(img);
+  });
+  messageElement.appendChild(container);
+  scrollMessagesToBottom();
+}
+
+// Name and size of an attached file (its text is sent to the model)
+function createFileChip(attachment) {
+  const chip = document.createElement('div');
+  chip.className = 'file-chip';
+  chip.textContent = `📄 ${attachment.name}`;
+  chip.title = `${attachment.name} · ${formatFileSize(attachment.size)}${attachment.truncated ? ' · text truncated' : ''}`;
+
+  const size = document.createElement('span');
+  size.textContent = formatFileSize(attachment.size);
+  chip.appendChild(size);
+  return chip;
+}
+
+// Attachments waiting for the next message, shown above the input
+function addAttachment(attachment) {
+  pendingAttachments.push(attachment);
+  renderAttachmentTray();
+  inputField.focus();
+}
+
+function renderAttachmentTray() {
+  attachmentTray.innerHTML = '';
+  attachmentTray.hidden = pendingAttachments.length === 0;
+
+  pendingAttachments.forEach((attachment, index) => {
+    const chip = document.createElement('div');
+    chip.className = 'attachment-chip';
+    chip.title = attachment.name;
+
+    let preview;
+    if (attachment.type === 'text') {
+      preview = createFileChip(attachment);
+    } else {
+      preview = document.createElement('img');
+      preview.src = attachment.url;
+      preview.alt = attachment.name;
+    }
+
+    const removeBtn = document.createElement('button');
+    removeBtn.textContent = '✕';
+    removeBtn.title = 'Remove';
+    removeBtn.addEventListener('click', () => {
+      pendingAttachments.splice(index, 1);
+      renderAttachmentTray();
+    });
+
+    chip.append(preview, removeBtn);
+    attachmentTray.appendChild(chip);
+  });
+}
+
+function addMessageNotice(messageElement, text) {
+  const notice = document.createElement('div');
+  notice.className = 'message-notice';
+  notice.textContent = `⚠ ${text}`;
+  messageElement.appendChild(notice);
   messagesArea.scrollTop = messagesArea.scrollHeight;
 }
 
@@ -328,5 +1285,328 @@ if (window.electronAPI.onSessionCleared) {
   window.electronAPI.onSessionCleared(() => {
     messagesArea.innerHTML = '';
     clearPositionedElements();
+    lastMessageUsage = null;
+    refreshUsage();
+  });
+}
+
+// Listen for session switches (new, switched or deleted current session)
+if (window.electronAPI.onSessionSwitched) {
+  window.electronAPI.onSessionSwitched((session) => {
+    renderSession(session);
   });
 }
+
+// Sessions panel
+sessionsBtn.addEventListener('click', () => {
+  sessionsPanel.classList.toggle('open');
+  if (sessionsPanel.classList.contains('open')) {
+    refreshSessionsList();
+  }
+});
+
+newSessionBtn.addEventListener('click', async () => {
+  await window.electronAPI.createSession();
+});
+
+// Usage panel
+usageBtn.addEventListener('click', () => {
+  usagePanel.classList.toggle('open');
+  refreshUsage();
+});
+
+const USAGE_KIND_LABELS = { chat: 'Chat', diagram: 'Diagrams', image: 'Images', summary: 'Summaries' };
+
+// [label, value] rows for a usage totals object
+function totalsRows(usage) {
+  return [
+    ['Input tokens', formatTokens(usage.inputTokens)],
+    ['Output tokens', formatTokens(usage.outputTokens)],
+    ['Cost', formatCost(usage)]
+  ];
+}
+
+async function refreshUsage() {
+  if (!usagePanel.classList.contains('open') || !window.electronAPI.getUsage) return;
+
+  const usage = await window.electronAPI.getUsage();
+  const rows = [['Session'], ...totalsRows(usage)];
+  Object.entries(usage.byKind).forEach(([kind, totals]) => {
+    rows.push([`${USAGE_KIND_LABELS[kind] || kind} (${totals.calls})`, `${formatTokens(totals.totalTokens)} tokens`]);
+  });
+  if (lastMessageUsage?.calls) {
+    rows.push(['Last message'], ...totalsRows(lastMessageUsage));
+  }
+
+  usageRows.innerHTML = '';
+  rows.forEach(([label, value]) => {
+    const labelElement = document.createElement('span');
+    labelElement.textContent = label;
+    if (value === undefined) {
+      labelElement.className = 'usage-section';
+      usageRows.appendChild(labelElement);
+      return;
+    }
+    const valueElement = document.createElement('span');
+    valueElement.textContent = value;
+    usageRows.append(labelElement, valueElement);
+  });
+}
+
+// Re-render the chat and canvas from a stored session. The main process stops any
+// stream on a session change; what it was still rendering belongs to the old session
+async function renderSession(session) {
+  speechOutput.stop();
+  currentSessionId = session.id;
+  streamGeneration++;
+  setStreaming(false);
+  currentStreamingMessage = null;
+  currentToolCalls.clear();
+  messagesArea.innerHTML = '';
+  clearPositionedElements();
+
+  lastMessageUsage = null;
+  for (const entry of session.history || []) {
+    const messageDiv = addMessage(entry.content, entry.role);
+    addMessageAttachments(messageDiv, entry.attachments);
+    if (entry.metadata?.cancelled) {
+      messageDiv.classList.add('cancelled');
+    }
+    if (entry.role === 'assistant') {
+      addMessageModel(messageDiv, entry.metadata?.model, entry.metadata?.usage);
+      lastMessageUsage = entry.metadata?.usage || null;
+    }
+  }
+
+  for (const element of session.canvas || []) {
+    await addPositionedElement(element.type, element.content, element.position, element);
+  }
+
+  if (sessionsPanel.classList.contains('open')) {
+    refreshSessionsList();
+  }
+  refreshContextUsage();
+  refreshUsage();
+}
+
+// How much of the model's history budget the next message will use
+async function refreshContextUsage() {
+  if (!window.electronAPI.getContextUsage) return;
+
+  // The budget depends on the model the next message will use
+  const usage = await window.electronAPI.getContextUsage(modelSelect.value || undefined);
+  let label = `Context ${formatTokens(usage.used)} / ${formatTokens(usage.budget)} tokens`;
+  if (usage.droppedCount > 0) {
+    label += ` · ${usage.droppedCount} older messages ${usage.summaryTokens ? 'summarized' : 'dropped'}`;
+  }
+  contextUsage.textContent = label;
+}
+
+async function refreshSessionsList() {
+  const sessions = await window.electronAPI.listSessions();
+  sessionsList.innerHTML = '';
+
+  sessions.forEach(session => {
+    const item = document.createElement('div');
+    item.className = `session-item${session.id === currentSessionId ? ' active' : ''}`;
+
+    const name = document.createElement('span');
+    name.className = 'session-name';
+    name.textContent = session.name;
+    name.title = `${session.messageCount} messages · double-click to rename`;
+    name.addEventListener('dblclick', (e) => {
+      e.stopPropagation();
+      startRenameSession(item, name, session);
+    });
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.textContent = '✕';
+    deleteBtn.title = 'Delete session';
+    deleteBtn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      if (confirm(`Delete "${session.name}"?`)) {
+        await window.electronAPI.deleteSession(session.id);
+        refreshSessionsList();
+      }
+    });
+
+    item.addEventListener('click', () => {
+      if (session.id !== currentSessionId) {
+        window.electronAPI.switchSession(session.id);
+      }
+    });
+
+    item.appendChild(name);
+    item.appendChild(deleteBtn);
+    sessionsList.appendChild(item);
+  });
+}
+
+function startRenameSession(item, nameElement, session) {
+  const input = document.createElement('input');
+  input.className = 'session-name-input';
+  input.value = session.name;
+  item.replaceChild(input, nameElement);
+  input.focus();
+  input.select();
+
+  let done = false;
+  const finish = async (commit) => {
+    if (done) return;
+    done = true;
+    if (commit && input.value.trim() && input.value.trim() !== session.name) {
+      await window.electronAPI.renameSession(session.id, input.value);
+    }
+    refreshSessionsList();
+  };
+
+  input.addEventListener('click', (e) => e.stopPropagation());
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') finish(true);
+    if (e.key === 'Escape') finish(false);
+  });
+  input.addEventListener('blur', () => finish(true));
+}
+
+// Populate the per-message output policy picker
+async function loadOutputPolicies() {
+  const { policies, defaultPolicy } = await window.electronAPI.getOutputPolicies();
+  updateDefaultPolicyLabel(policies, defaultPolicy);
+
+  policies.forEach(({ name, label }) => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = label;
+    policySelect.appendChild(option);
+  });
+}
+
+function updateDefaultPolicyLabel(policies, defaultPolicy) {
+  const defaultLabel = policies.find(policy => policy.name === defaultPolicy)?.label || defaultPolicy;
+  policySelect.options[0].textContent = `Default (${defaultLabel})`;
+}
+
+if (window.electronAPI.getOutputPolicies) {
+  loadOutputPolicies();
+}
+
+// Global shortcut actions carried out in this window
+window.electronAPI.onShortcutAction(({ action, imageUrl, error }) => {
+  if (action === 'focusInput') {
+    inputField.focus();
+  } else if (action === 'clearCanvas') {
+    clearPositionedElements();
+    syncCanvas();
+  } else if (action === 'cancelStream') {
+    cancelStream();
+  } else if (action === 'screenshotToChat') {
+    if (error) {
+      showAppNotice(`Screenshot failed: ${error}`);
+      return;
+    }
+    addAttachment({ type: 'image', url: imageUrl, name: 'Screenshot' });
+  } else if (action === 'captureRegion') {
+    if (error) {
+      showAppNotice(`Screen capture failed: ${error}`);
+      return;
+    }
+    addAttachment({ type: 'image', url: imageUrl, name: 'Screen capture' });
+  } else if (action === 'pushToTalk') {
+    toggleSpeechInput();
+  }
+});
+
+// Shortcuts that could not be registered (taken by another app, duplicates)
+function showShortcutFailures({ failures }) {
+  if (failures.length === 0) return;
+  const list = failures.map(({ label, accelerator }) => `${label} (${accelerator})`).join(', ');
+  showAppNotice(`Shortcuts not available: ${list}. Change them in Settings.`);
+}
+
+window.electronAPI.getShortcutStatus().then(showShortcutFailures);
+window.electronAPI.onShortcutsStatus(showShortcutFailures);
+
+// Dismissable banner at the top of the window for app-level problems
+function showAppNotice(text) {
+  appNotice.textContent = `⚠ ${text}`;
+  appNotice.hidden = false;
+  clearTimeout(appNotice.hideTimer);
+  appNotice.hideTimer = setTimeout(() => {
+    appNotice.hidden = true;
+  }, 10000);
+}
+
+appNotice.addEventListener('click', () => {
+  appNotice.hidden = true;
+});
+
+// Populate the per-message model picker (the selection persists until changed)
+async function loadModels({ refresh = false } = {}) {
+  const result = await window.electronAPI.listModels({ refresh });
+  if (!result.success) {
+    console.warn('Could not load models:', result.error);
+    return;
+  }
+
+  const { models, defaultModel, source } = result;
+  const selected = modelSelect.value;
+  modelSelect.options[0].textContent = `Default (${defaultModel})`;
+  modelSelect.options[0].title = source === 'fallback' ? 'Model list unavailable, showing common models' : '';
+  modelSelect.length = 1;
+
+  models.forEach(({ id, name }) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = id;
+    option.title = name;
+    modelSelect.appendChild(option);
+  });
+
+  // Keep the override if the model is still offered
+  modelSelect.value = models.some(model => model.id === selected) && selected !== defaultModel ? selected : '';
+  defaultModelBtn.dataset.defaultModel = defaultModel;
+  updateDefaultModelButton();
+}
+
+function updateDefaultModelButton() {
+  defaultModelBtn.hidden = !modelSelect.value || modelSelect.value === defaultModelBtn.dataset.defaultModel;
+}
+
+modelSelect.addEventListener('change', () => {
+  updateDefaultModelButton();
+  refreshContextUsage();
+});
+
+defaultModelBtn.addEventListener('click', async () => {
+  const result = await window.electronAPI.setDefaultModel(modelSelect.value);
+  if (!result.success) {
+    showAppNotice(`Could not change the default model: ${result.error}`);
+  }
+  // The list reloads through the settings-changed event
+});
+
+loadModels();
+
+// The defaults can change from the settings window
+window.electronAPI.onSettingsChanged(async ({ changed }) => {
+  if (changed.includes('ai.outputPolicy')) {
+    const { policies, defaultPolicy } = await window.electronAPI.getOutputPolicies();
+    updateDefaultPolicyLabel(policies, defaultPolicy);
+  }
+  if (changed.some(key => key.startsWith('speech.'))) {
+    loadSpeechSettings();
+  }
+  if (changed.some(key => key.startsWith('tts.'))) {
+    loadTtsSettings();
+  }
+  if (changed.some(key => key === 'ai.model' || key.startsWith('ai.provider') || key.startsWith('providers.'))) {
+    modelSelect.value = '';
+    await loadModels();
+    refreshContextUsage();
+  }
+});
+
+// Restore the last active session on startup
+if (window.electronAPI.getCurrentSession) {
+  window.electronAPI.getCurrentSession().then(renderSession);
+}
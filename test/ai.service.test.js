@@ -0,0 +1,87 @@
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const config = require('../src/core/config');
+const { resetProviders } = require('../src/providers');
+const aiService = require('../src/services/ai.service');
+const generationService = require('../src/services/generation.service');
+
+const savedConfig = {
+  provider: config.get('ai.provider'),
+  replay: { ...config.get('providers.replay') }
+};
+
+let tempDir;
+
+// Serves the chat from a replay fixture; turns without "match" play one per model step
+function useReplay(turns) {
+  const fixture = path.join(tempDir, 'fixture.json');
+  fs.writeFileSync(fixture, JSON.stringify({ chunkDelayMs: 0, turns }));
+  config.set('ai.provider', 'replay');
+  config.set('providers.replay', { fixture, chunkDelayMs: 0 });
+  resetProviders();
+  aiService.configure();
+}
+
+async function collect(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return chunks;
+}
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jarvis-ai-'));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  config.set('ai.provider', savedConfig.provider);
+  config.set('providers.replay', savedConfig.replay);
+  resetProviders();
+  aiService.configure();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('streamChat', () => {
+  test('an edit turn ends with the model confirming the change', async () => {
+    useReplay([
+      { stream: [{ type: 'tool-call', toolName: 'editMermaidDiagram', input: { instruction: 'Add node C' } }] },
+      { stream: [{ type: 'text', text: 'Added node C.' }] }
+    ]);
+    const editDiagram = mock.method(generationService, 'editDiagram', async () => ({
+      content: 'graph TD\n  A --> B\n  B --> C',
+      validation: { valid: true }
+    }));
+
+    const chunks = await collect(aiService.streamChat('Add a node C', [], {
+      editElement: { id: 'el-1', type: 'mermaid', content: 'graph TD\n  A --> B' }
+    }));
+
+    assert.equal(editDiagram.mock.callCount(), 1);
+    const types = chunks.map(chunk => chunk.type).filter(type => type !== 'step-finish');
+    assert.deepEqual(types, ['tool-call', 'tool-result', 'text']);
+    assert.equal(chunks.find(chunk => chunk.type === 'tool-result').result.content, 'graph TD\n  A --> B\n  B --> C');
+    assert.equal(chunks.find(chunk => chunk.type === 'text').content, 'Added node C.');
+  });
+
+  test('a failed tool is reported and the model still answers', async () => {
+    useReplay([
+      { stream: [{ type: 'tool-call', toolName: 'editMermaidDiagram', input: { instruction: 'Add node C' } }] },
+      { stream: [{ type: 'text', text: 'The diagram could not be changed.' }] }
+    ]);
+    mock.method(generationService, 'editDiagram', async () => {
+      throw new Error('Diagram service unavailable');
+    });
+
+    const chunks = await collect(aiService.streamChat('Add a node C', [], {
+      editElement: { id: 'el-1', type: 'mermaid', content: 'graph TD\n  A --> B' }
+    }));
+
+    const types = chunks.map(chunk => chunk.type).filter(type => type !== 'step-finish');
+    assert.deepEqual(types, ['tool-call', 'tool-error', 'text']);
+    assert.match(chunks.find(chunk => chunk.type === 'tool-error').error.message, /Diagram service unavailable/);
+  });
+});
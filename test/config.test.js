@@ -0,0 +1,59 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const config = require('../src/core/config');
+const { providerTypes } = require('../src/providers');
+
+let settingsDir;
+
+beforeEach(() => {
+  settingsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jarvis-settings-'));
+  config.loadUserConfig(path.join(settingsDir, 'settings.json'));
+});
+
+afterEach(() => {
+  config.resetUserConfig();
+  fs.rmSync(settingsDir, { recursive: true, force: true });
+});
+
+describe('updateUserConfig', () => {
+  test('accepts every registered provider and nothing else', () => {
+    providerTypes.forEach(type => {
+      assert.equal(config.updateUserConfig({ ai: { provider: type } }).success, true);
+      assert.equal(config.get('ai.provider'), type);
+    });
+
+    const result = config.updateUserConfig({ ai: { provider: 'unknown' } });
+
+    assert.equal(result.success, false);
+    assert.equal(result.issues[0].path, 'ai.provider');
+  });
+
+  test('keeps model ids that contain dots as single keys', () => {
+    const result = config.updateUserConfig({
+      usage: { pricing: { 'openai/gpt-4.1': { input: 2, output: 8 } } },
+      session: { tokenBudget: { models: { 'google/gemini-2.5-flash': 100000 } } }
+    });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.changed.sort(), [
+      'session.tokenBudget.models.google/gemini-2.5-flash',
+      'usage.pricing.openai/gpt-4.1.input',
+      'usage.pricing.openai/gpt-4.1.output'
+    ]);
+    assert.deepEqual(config.get('usage.pricing')['openai/gpt-4.1'], { input: 2, output: 8 });
+    assert.equal(config.get('session.tokenBudget.models')['google/gemini-2.5-flash'], 100000);
+    assert.deepEqual(config.getUserConfig(), JSON.parse(fs.readFileSync(path.join(settingsDir, 'settings.json'), 'utf8')));
+
+    // Reloading the saved file gives the same settings, and defaults are not stored
+    config.loadUserConfig(path.join(settingsDir, 'settings.json'));
+    config.updateUserConfig({ session: { tokenBudget: { models: { 'openai/gpt-3.5-turbo': 12000 } } } });
+    assert.deepEqual(config.getUserConfig(), {
+      usage: { pricing: { 'openai/gpt-4.1': { input: 2, output: 8 } } },
+      session: { tokenBudget: { models: { 'google/gemini-2.5-flash': 100000 } } }
+    });
+  });
+});
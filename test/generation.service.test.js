@@ -0,0 +1,217 @@
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+const config = require('../src/core/config');
+const { ContentFilterError } = require('../src/core/errors');
+const generationService = require('../src/services/generation.service');
+const mermaidValidator = require('../src/services/mermaid-validator.service');
+const { ImageCacheService } = require('../src/services/image-cache.service');
+
+const PNG_DATA_URL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+
+// Chat completion response body with one choice
+function completion(content, { finishReason = 'stop', images, model = 'test-model' } = {}) {
+  return {
+    model,
+    usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 },
+    choices: [{ finish_reason: finishReason, message: { content, images } }]
+  };
+}
+
+// Replaces the axios adapter, so requests go through the shared HTTP client but never reach
+// the network. Bodies are answered in order; the request bodies sent are recorded
+const defaultAdapter = axios.defaults.adapter;
+
+function stubHttp(bodies) {
+  const requests = [];
+  axios.defaults.adapter = async (requestConfig) => {
+    requests.push({ url: requestConfig.url, body: JSON.parse(requestConfig.data) });
+    return { status: 200, statusText: 'OK', data: bodies.shift(), headers: {}, config: requestConfig, request: {} };
+  };
+  return requests;
+}
+
+// Validator stub: results are returned in order
+function mockValidator(results) {
+  return mock.method(mermaidValidator, 'validate', async () => results.shift());
+}
+
+const savedConfig = {
+  validate: config.get('mermaid.validate'),
+  maxRepairAttempts: config.get('mermaid.maxRepairAttempts')
+};
+
+beforeEach(() => {
+  config.set('mermaid.validate', true);
+  config.set('mermaid.maxRepairAttempts', 2);
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  axios.defaults.adapter = defaultAdapter;
+  config.set('mermaid.validate', savedConfig.validate);
+  config.set('mermaid.maxRepairAttempts', savedConfig.maxRepairAttempts);
+  generationService.configure();
+});
+
+describe('stripCodeFences', () => {
+  test('returns the body of a fenced block', () => {
+    assert.equal(generationService.stripCodeFences('Here:\n```mermaid\ngraph TD\n  A-->B\n```\nDone'), 'graph TD\n  A-->B');
+  });
+
+  test('leaves unfenced code unchanged apart from whitespace', () => {
+    assert.equal(generationService.stripCodeFences('  graph TD\n  A-->B\n'), 'graph TD\n  A-->B');
+  });
+
+  test('drops a stray unclosed fence', () => {
+    assert.equal(generationService.stripCodeFences('```mermaid graph TD'), 'graph TD');
+  });
+});
+
+describe('generateDiagram', () => {
+  test('posts the prompt to the provider and returns the stripped code', async () => {
+    const requests = stubHttp([completion('```mermaid\ngraph TD\nA-->B\n```')]);
+    mockValidator([{ valid: true }]);
+
+    const result = await generationService.generateDiagram('A to B');
+
+    assert.equal(result.content, 'graph TD\nA-->B');
+    assert.deepEqual(result.validation, { status: 'valid', attempts: 0, error: undefined });
+    assert.equal(requests.length, 1);
+    assert.match(requests[0].url, /\/chat\/completions$/);
+    assert.equal(requests[0].body.model, generationService.modelId);
+    assert.match(requests[0].body.messages[0].content, /A to B/);
+  });
+
+  test('reports the usage of every request, repairs included', async () => {
+    stubHttp([completion('graph TD\nA->'), completion('graph TD\nA-->B')]);
+    mockValidator([{ valid: false, error: 'Parse error' }, { valid: true }]);
+    const usage = [];
+
+    await generationService.generateDiagram('A to B', { onUsage: record => usage.push(record) });
+
+    assert.deepEqual(usage.map(record => [record.kind, record.totalTokens]), [['diagram', 15], ['diagram', 15]]);
+  });
+
+  test('writes and repairs the diagram with the model chosen for the message', async () => {
+    const requests = stubHttp([completion('graph TD\nA->'), completion('graph TD\nA-->B')]);
+    mockValidator([{ valid: false, error: 'Parse error' }, { valid: true }]);
+
+    await generationService.generateDiagram('A to B', { modelId: 'picked-model' });
+
+    assert.deepEqual(requests.map(request => request.body.model), ['picked-model', 'picked-model']);
+  });
+
+  test('rejects an empty response', async () => {
+    stubHttp([completion(null)]);
+
+    await assert.rejects(generationService.generateDiagram('A to B'), /empty response/);
+  });
+
+  test('throws ContentFilterError when the response was filtered', async () => {
+    stubHttp([completion(null, { finishReason: 'content_filter' })]);
+
+    await assert.rejects(generationService.generateDiagram('A to B'), ContentFilterError);
+  });
+
+  test('sends the parse error back and returns the repaired code', async () => {
+    const requests = stubHttp([completion('graph TD\nA->'), completion('```\ngraph TD\nA-->B\n```')]);
+    mockValidator([{ valid: false, error: 'Parse error on line 2' }, { valid: true }]);
+
+    const result = await generationService.generateDiagram('A to B');
+
+    assert.equal(result.content, 'graph TD\nA-->B');
+    assert.deepEqual(result.validation, { status: 'repaired', attempts: 1, error: undefined });
+    const repairMessages = requests[1].body.messages;
+    assert.equal(repairMessages.length, 3);
+    assert.deepEqual(repairMessages[1], { role: 'assistant', content: 'graph TD\nA->' });
+    assert.match(repairMessages[2].content, /Parse error on line 2/);
+  });
+
+  test('gives up after the configured number of repairs', async () => {
+    const requests = stubHttp([completion('broken'), completion('still broken 1'), completion('still broken 2')]);
+    mockValidator([
+      { valid: false, error: 'error 0' },
+      { valid: false, error: 'error 1' },
+      { valid: false, error: 'error 2' }
+    ]);
+
+    const result = await generationService.generateDiagram('A to B');
+
+    assert.equal(result.content, 'still broken 2');
+    assert.deepEqual(result.validation, { status: 'invalid', attempts: 2, error: 'error 2' });
+    assert.equal(requests.length, 3);
+  });
+
+  test('returns the code unchecked when the validator is unavailable', async () => {
+    stubHttp([completion('graph TD')]);
+    mock.method(mermaidValidator, 'validate', async () => {
+      throw new Error('no window');
+    });
+
+    const result = await generationService.generateDiagram('A to B');
+
+    assert.deepEqual(result.validation, { status: 'unchecked', attempts: 0, error: undefined });
+  });
+
+  test('skips validation when it is turned off', async () => {
+    config.set('mermaid.validate', false);
+    stubHttp([completion('graph TD')]);
+    const validate = mockValidator([]);
+
+    const result = await generationService.generateDiagram('A to B');
+
+    assert.equal(result.validation.status, 'unchecked');
+    assert.equal(validate.mock.callCount(), 0);
+  });
+});
+
+describe('generateImage', () => {
+  let cacheDirectory;
+  let imageCache;
+
+  beforeEach(() => {
+    cacheDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'jarvis-image-cache-'));
+    imageCache = new ImageCacheService();
+    imageCache.initialize(cacheDirectory);
+    generationService.configure({ imageCache });
+  });
+
+  afterEach(() => {
+    fs.rmSync(cacheDirectory, { recursive: true, force: true });
+  });
+
+  test('stores the generated image in the cache and reports usage', async () => {
+    const requests = stubHttp([completion('', { images: [{ image_url: { url: PNG_DATA_URL } }] })]);
+    const usage = [];
+
+    const url = await generationService.generateImage('A cat', { onUsage: record => usage.push(record) });
+
+    assert.ok(imageCache.isCacheUrl(url));
+    assert.equal(imageCache.read(url).mimeType, 'image/png');
+    assert.deepEqual(requests[0].body.messages, [{ role: 'user', content: [{ type: 'text', text: 'A cat' }] }]);
+    assert.equal(usage[0].kind, 'image');
+  });
+
+  test('throws ContentFilterError when no image was returned because of the filter', async () => {
+    stubHttp([completion(null, { finishReason: 'content_filter' })]);
+
+    await assert.rejects(generationService.generateImage('A cat'), ContentFilterError);
+  });
+
+  test('rejects a text-only answer', async () => {
+    stubHttp([completion('I cannot draw that')]);
+
+    await assert.rejects(generationService.generateImage('A cat'), /text instead of generating an image/);
+  });
+
+  test('rejects an incomplete generation', async () => {
+    stubHttp([completion(null, { finishReason: 'error' })]);
+
+    await assert.rejects(generationService.generateImage('A cat'), /incomplete\. Reason: error/);
+  });
+});
@@ -0,0 +1,145 @@
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { getEventListeners } = require('events');
+const axios = require('axios');
+
+const config = require('../src/core/config');
+const httpClient = require('../src/core/http-client');
+const { AuthError, ContentFilterError, RateLimitError, TimeoutError } = require('../src/core/errors');
+
+// axios adapter answering requests with the given replies in order; a reply is
+// { status, data, headers } or { code } for a request that failed without a response
+function createAdapter(replies) {
+  const adapter = async (requestConfig) => {
+    adapter.calls++;
+    const { status, data = {}, headers = {}, code } = replies.shift();
+    if (code) {
+      throw new axios.AxiosError(`Request failed: ${code}`, code, requestConfig, {});
+    }
+
+    const response = { status, statusText: '', data, headers, config: requestConfig, request: {} };
+    if (status >= 400) {
+      throw new axios.AxiosError(`Request failed with status code ${status}`, axios.AxiosError.ERR_BAD_RESPONSE, requestConfig, {}, response);
+    }
+    return response;
+  };
+  adapter.calls = 0;
+  return adapter;
+}
+
+const savedConfig = { ...config.get('http') };
+let delays;
+
+beforeEach(() => {
+  config.set('http.maxRetries', 3);
+  config.set('http.retryBaseDelayMs', 100);
+  config.set('http.retryMaxDelayMs', 5000);
+  // Waits are recorded instead of slept
+  delays = [];
+  mock.method(httpClient, 'sleep', async (ms) => {
+    delays.push(ms);
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  Object.entries(savedConfig).forEach(([key, value]) => config.set(`http.${key}`, value));
+});
+
+describe('request', () => {
+  test('retries 429 and 5xx responses with growing delays', async () => {
+    const adapter = createAdapter([{ status: 429 }, { status: 502 }, { status: 200, data: { ok: true } }]);
+
+    const response = await httpClient.post('https://provider.test/chat', {}, { adapter });
+
+    assert.deepEqual(response.data, { ok: true });
+    assert.equal(adapter.calls, 3);
+    assert.equal(delays.length, 2);
+    assert.ok(delays[0] >= 75 && delays[0] <= 125);
+    assert.ok(delays[1] >= 150 && delays[1] <= 250);
+  });
+
+  test('retries network failures', async () => {
+    const adapter = createAdapter([{ code: 'ECONNRESET' }, { status: 200 }]);
+
+    await httpClient.get('https://provider.test/models', { adapter });
+
+    assert.equal(adapter.calls, 2);
+  });
+
+  test('waits as long as Retry-After asks', async () => {
+    const adapter = createAdapter([{ status: 429, headers: { 'retry-after': '2' } }, { status: 200 }]);
+
+    await httpClient.post('https://provider.test/chat', {}, { adapter });
+
+    assert.deepEqual(delays, [2000]);
+  });
+
+  test('reports the rate limit when Retry-After is longer than the maximum delay', async () => {
+    const adapter = createAdapter([{ status: 429, headers: { 'retry-after': '60' } }]);
+
+    const error = await httpClient.post('https://provider.test/chat', {}, { adapter }).catch(error => error);
+
+    assert.ok(error instanceof RateLimitError);
+    assert.equal(error.retryAfterMs, 60000);
+    assert.equal(adapter.calls, 1);
+  });
+
+  test('gives up after the configured number of retries', async () => {
+    const adapter = createAdapter([{ status: 503 }, { status: 503 }, { status: 503 }]);
+
+    await assert.rejects(httpClient.post('https://provider.test/chat', {}, { adapter, retries: 2 }), { status: 503 });
+    assert.equal(adapter.calls, 3);
+  });
+
+  test('maps a timeout to TimeoutError without retrying', async () => {
+    const adapter = createAdapter([{ code: 'ECONNABORTED' }]);
+
+    const error = await httpClient.post('https://provider.test/chat', {}, { adapter, timeout: 5000 }).catch(error => error);
+
+    assert.ok(error instanceof TimeoutError);
+    assert.match(error.message, /within 5 seconds/);
+    assert.equal(adapter.calls, 1);
+  });
+
+  test('does not retry a rejected API key', async () => {
+    const adapter = createAdapter([{ status: 401, data: { error: { message: 'Invalid key' } } }]);
+
+    const error = await httpClient.post('https://provider.test/chat', {}, { adapter }).catch(error => error);
+
+    assert.ok(error instanceof AuthError);
+    assert.equal(error.detail, 'Invalid key');
+    assert.equal(adapter.calls, 1);
+  });
+
+  test('does not retry a request blocked by the content filter', async () => {
+    const adapter = createAdapter([{ status: 400, data: { error: { message: 'Blocked by content policy' } } }]);
+
+    await assert.rejects(httpClient.post('https://provider.test/chat', {}, { adapter }), ContentFilterError);
+    assert.equal(adapter.calls, 1);
+  });
+});
+
+describe('fetch', () => {
+  test('removes its listener from the caller\'s signal', async () => {
+    const replies = [async () => new Response('ok'), async () => {
+      throw new TypeError('fetch failed');
+    }];
+    mock.method(globalThis, 'fetch', () => replies.shift()());
+    const controller = new AbortController();
+
+    await httpClient.fetch('https://provider.test/chat', { signal: controller.signal });
+    await assert.rejects(httpClient.fetch('https://provider.test/chat', { signal: controller.signal }), /fetch failed/);
+
+    assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+  });
+
+  test('maps a missing response to TimeoutError', async () => {
+    config.set('http.timeoutMs', 10);
+    mock.method(globalThis, 'fetch', (url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(signal.reason));
+    }));
+
+    await assert.rejects(httpClient.fetch('https://provider.test/chat'), TimeoutError);
+  });
+});
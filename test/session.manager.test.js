@@ -0,0 +1,160 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const config = require('../src/core/config');
+const sessionManager = require('../src/managers/session.manager');
+const { MESSAGE_OVERHEAD_TOKENS } = require('../src/core/token-counter');
+
+const savedBudget = config.get('session.tokenBudget.default');
+let storageDir;
+
+// Each turn is ~100 tokens, so a small budget pushes the oldest ones out of context
+function addTurns(count) {
+  for (let i = 0; i < count; i++) {
+    sessionManager.addUserInput(`question ${i} ${'word '.repeat(50)}`);
+    sessionManager.addModelResponse(`answer ${i} ${'word '.repeat(50)}`);
+  }
+}
+
+beforeEach(() => {
+  storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jarvis-sessions-'));
+  sessionManager.initialize(storageDir);
+  sessionManager.setSummarizer(null);
+  config.set('session.tokenBudget.default', 400);
+});
+
+afterEach(() => {
+  config.set('session.tokenBudget.default', savedBudget);
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+describe('history', () => {
+  test('keeps every turn; only the context sent to the model is limited', () => {
+    addTurns(40);
+
+    const history = sessionManager.getOptimizedHistory('test-model');
+
+    assert.equal(history.full.length, 80);
+    assert.ok(history.recent.length < 80);
+    assert.equal(history.usage.droppedCount, 80 - history.recent.length);
+  });
+});
+
+describe('updateSummary', () => {
+  test('summarises each dropped turn once', async () => {
+    const calls = [];
+    sessionManager.setSummarizer(async (previous, entries) => {
+      calls.push(entries.map(entry => entry.id));
+      return `summary of ${entries.length} more`;
+    });
+
+    addTurns(10);
+    await sessionManager.updateSummary('test-model');
+    addTurns(10);
+    await sessionManager.updateSummary('test-model');
+
+    const summarised = calls.flat();
+    assert.equal(calls.length, 2);
+    assert.equal(new Set(summarised).size, summarised.length);
+    assert.equal(sessionManager.getContextUsage('test-model').unsummarizedCount, 0);
+  });
+
+  test('summarises every dropped turn again when the summary anchor is missing', async () => {
+    addTurns(10);
+    sessionManager.summary = { content: 'earlier', tokens: 5, lastEntryId: 'missing', updatedAt: new Date().toISOString() };
+    const calls = [];
+    sessionManager.setSummarizer(async (previous, entries) => {
+      calls.push(entries.length);
+      return 'again';
+    });
+
+    await sessionManager.updateSummary('test-model');
+
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0], sessionManager.getContextUsage('test-model').droppedCount);
+    assert.equal(sessionManager.summary.content, 'again');
+    assert.equal(sessionManager.getContextUsage('test-model').unsummarizedCount, 0);
+  });
+});
+
+describe('listSessions', () => {
+  test('lists sessions without updatedAt last instead of failing', () => {
+    const current = sessionManager.getCurrentSession();
+    fs.writeFileSync(path.join(storageDir, 'no-date.json'), JSON.stringify({ id: 'no-date', name: 'Old' }));
+
+    const sessions = sessionManager.listSessions();
+
+    assert.deepEqual(sessions.map(session => session.id), [current.id, 'no-date']);
+  });
+});
+
+describe('countInputTokens', () => {
+  test('counts the text of attached files and a fixed amount per image', () => {
+    const text = 'word '.repeat(100);
+    const plain = sessionManager.countInputTokens('Summarise this');
+    const withFile = sessionManager.countInputTokens('Summarise this', [{ type: 'text', name: 'notes.txt', text }]);
+    const withImage = sessionManager.countInputTokens('Summarise this', [{ type: 'image', name: 'shot.png', url: 'jarvis-image://cache/x.png' }]);
+
+    assert.ok(withFile - plain >= 100);
+    assert.equal(withImage - plain, config.get('session.imageTokens'));
+  });
+});
+
+describe('measureInput', () => {
+  test('counts the summary and message overhead against the budget', () => {
+    const text = 'word '.repeat(100);
+    const inputTokens = sessionManager.countInputTokens(text);
+    sessionManager.summary = { content: 'earlier', tokens: 50, lastEntryId: 'missing', updatedAt: new Date().toISOString() };
+
+    config.set('session.tokenBudget.default', inputTokens + 50 + MESSAGE_OVERHEAD_TOKENS);
+    assert.equal(sessionManager.measureInput(text, [], 'test-model').fits, true);
+
+    config.set('session.tokenBudget.default', inputTokens + 50 + MESSAGE_OVERHEAD_TOKENS - 1);
+    assert.deepEqual(sessionManager.measureInput(text, [], 'test-model'), {
+      inputTokens,
+      summaryTokens: 50,
+      budget: inputTokens + 50 + MESSAGE_OVERHEAD_TOKENS - 1,
+      fits: false
+    });
+  });
+});
+
+describe('summary usage', () => {
+  const record = { kind: 'summary', model: 'test-model', inputTokens: 100, outputTokens: 20, totalTokens: 120, images: 0, cost: 0.001 };
+
+  test('is recorded for the session that was summarised after switching sessions', async () => {
+    addTurns(10);
+    const summarisedId = sessionManager.getCurrentSession().id;
+    let finishSummary;
+    sessionManager.setSummarizer((previous, entries, { onUsage }) => new Promise(resolve => {
+      onUsage(record);
+      finishSummary = () => resolve('summary');
+    }));
+
+    const summarizing = sessionManager.updateSummary('test-model');
+    sessionManager.createSession('Other');
+    finishSummary();
+    await summarizing;
+
+    assert.equal(sessionManager.getUsage().calls, 0);
+    sessionManager.switchSession(summarisedId);
+    assert.equal(sessionManager.getUsage().calls, 1);
+    assert.equal(sessionManager.getUsage().totalTokens, 120);
+    assert.equal(sessionManager.summary, null);
+  });
+
+  test('is recorded when the summarizer fails after making calls', async () => {
+    addTurns(10);
+    sessionManager.setSummarizer(async (previous, entries, { onUsage }) => {
+      onUsage(record);
+      throw new Error('summary request failed');
+    });
+
+    await sessionManager.updateSummary('test-model');
+
+    assert.equal(sessionManager.getUsage().calls, 1);
+  });
+});
@@ -0,0 +1,82 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const sessionManager = require('../src/managers/session.manager');
+const streamManager = require('../src/managers/stream.manager');
+
+const WINDOW_ID = 1;
+let storageDir;
+let started;
+
+// Streams left running are finished after each test
+function start(ownerId) {
+  const controller = streamManager.start(ownerId);
+  if (controller) started.push([ownerId, controller]);
+  return controller;
+}
+
+// What send-chat-stream does before streaming: claim the window's stream, then save the input
+function beginMessage(text) {
+  const controller = start(WINDOW_ID);
+  if (!controller) return null;
+  sessionManager.addUserInput(text);
+  return controller;
+}
+
+beforeEach(() => {
+  storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jarvis-streams-'));
+  sessionManager.initialize(storageDir);
+  started = [];
+});
+
+afterEach(() => {
+  started.forEach(([ownerId, controller]) => streamManager.finish(ownerId, controller));
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+describe('streams of one window', () => {
+  test('a message sent while a reply is streaming is refused and not saved', () => {
+    const first = beginMessage('first');
+
+    assert.equal(beginMessage('second'), null);
+    assert.equal(first.signal.aborted, false);
+    assert.deepEqual(sessionManager.getCurrentSession().history.map(entry => entry.content), ['first']);
+  });
+
+  test('the cancelled reply is saved before the next message', () => {
+    const first = beginMessage('first');
+    assert.equal(streamManager.cancel(WINDOW_ID), true);
+    assert.equal(first.signal.aborted, true);
+
+    // The first handler sees the abort, saves its partial reply and finishes
+    sessionManager.addModelResponse('partial', { cancelled: true });
+    streamManager.finish(WINDOW_ID, first);
+    assert.ok(beginMessage('second'));
+
+    const history = sessionManager.getCurrentSession().history;
+    assert.deepEqual(history.map(entry => [entry.role, entry.content]), [['user', 'first'], ['assistant', 'partial'], ['user', 'second']]);
+  });
+
+  test('other windows can stream at the same time', () => {
+    start(WINDOW_ID);
+
+    assert.ok(start(WINDOW_ID + 1));
+  });
+});
+
+describe('cancel', () => {
+  test('reports whether a stream was running', () => {
+    assert.equal(streamManager.cancel(WINDOW_ID), false);
+  });
+
+  test('cancelAll aborts every window\'s stream', () => {
+    const controllers = [start(WINDOW_ID), start(WINDOW_ID + 1)];
+
+    streamManager.cancelAll();
+
+    assert.deepEqual(controllers.map(controller => controller.signal.aborted), [true, true]);
+  });
+});